@@ -0,0 +1,62 @@
+/**
+ * Timings of the validators, run with `npm run benchmark`. They are not part of the tests, as they assert nothing.
+ */
+
+import validateJSON, { compile, union, and, or, integer, number, string } from './validate.mjs';
+
+const iterations = 20000;
+
+// Milliseconds for validating the value a number of times
+function measure(validate, value) {
+	let start = process.hrtime.bigint();
+	for (let i = 0; i < iterations; i++) {
+		if (validate(value) !== true)
+			throw new Error('Benchmark value does not match');
+	}
+	return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+// Compiled schemata should be faster than validateJSON, which checks the schema on every call
+{
+	let schema = {
+		id: integer,
+		name: string,
+		tags: [/^[a-z]+$/, 0, 10],
+		owner: or(null, {
+			id: integer,
+			roles: [or('admin', 'user', 'guest')],
+		}),
+		items: [{
+			sku: /^[A-Z0-9-]+$/,
+			amount: and(integer, (i) => i > 0),
+			price: { value: number, currency: or('EUR', 'USD') },
+		}],
+	};
+	let value = {
+		id: 1,
+		name: 'order',
+		tags: ['a', 'b'],
+		owner: { id: 2, roles: ['admin', 'user'] },
+		items: [
+			{ sku: 'A-1', amount: 2, price: { value: 9.99, currency: 'EUR' } },
+			{ sku: 'B-2', amount: 1, price: { value: 19.99, currency: 'USD' } },
+		],
+	};
+	let compiled = compile(schema);
+	let interpreted_ms = measure((value) => validateJSON(schema, value), value);
+	let compiled_ms = measure(compiled, value);
+	console.log(`validateJSON ${interpreted_ms.toFixed(1)}ms, compile ${compiled_ms.toFixed(1)}ms, ${(interpreted_ms / compiled_ms).toFixed(1)}x speedup`);
+}
+
+// union() picks its variant directly, or() tries them one by one
+{
+	let variants = {};
+	for (let i = 0; i < 20; i++)
+		variants[`event${i}`] = { type: `event${i}`, id: integer, payload: { value: number } };
+	let by_union = compile(union('type', variants));
+	let by_or = compile(or(...Object.values(variants)));
+	let value = { type: 'event19', id: 1, payload: { value: 1 } };
+	let or_ms = measure(by_or, value);
+	let union_ms = measure(by_union, value);
+	console.log(`or ${or_ms.toFixed(1)}ms, union ${union_ms.toFixed(1)}ms, ${(or_ms / union_ms).toFixed(1)}x speedup`);
+}
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+// Validates JSON files against a schema exported by an ES module. Run with --help for usage.
+import { readFile } from 'node:fs/promises';
+import { watch } from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { compile, validateStream, messageFormatter, englishMessages, toJSPath } from './validate.mjs';
+
+const EXIT_INVALID_DATA = 1;
+const EXIT_INVALID_SCHEMA = 2;
+const EXIT_USAGE = 3;
+
+const usage = `Usage: json-validate --schema <module>[#export] [options] [file ...]
+
+Validates JSON files against a schema. Without files, or with -, reads stdin.
+
+Options:
+  -s, --schema <module>[#export]  ES module exporting the schema, by default as its default export
+  -f, --format <format>           human (the default), json or github (workflow annotations)
+      --unknown <mode>            what to do with unknown properties: fail (the default), strip or report-all
+  -w, --watch                     validate again whenever a file or the schema module changes
+  -h, --help                      show this help
+
+Exit codes: 0 if all files are valid, ${EXIT_INVALID_DATA} for invalid data or JSON, ${EXIT_INVALID_SCHEMA} for an invalid schema, ${EXIT_USAGE} for anything else.
+`;
+
+function cli_error(message, exit_code) {
+	return Object.assign(new Error(message), { exit_code });
+}
+
+function parse_args(args) {
+	let options = { schema: null, format: 'human', unknown: 'fail', watch: false, help: false, files: [] };
+	let value_of = (i) => {
+		if (i >= args.length)
+			throw cli_error(`Missing value for ${args[i - 1]}`, EXIT_USAGE);
+		return args[i];
+	};
+	for (let i = 0; i < args.length; i++) {
+		let arg = args[i];
+		if (arg === '--') {
+			options.files.push(...args.slice(i + 1));
+			break;
+		}
+		if (arg === '-s' || arg === '--schema')
+			options.schema = value_of(++i);
+		else if (arg === '-f' || arg === '--format')
+			options.format = value_of(++i);
+		else if (arg === '--unknown')
+			options.unknown = value_of(++i);
+		else if (arg === '-w' || arg === '--watch')
+			options.watch = true;
+		else if (arg === '-h' || arg === '--help')
+			options.help = true;
+		else if (arg.startsWith('-') && arg !== '-')
+			throw cli_error(`Unknown option ${arg}`, EXIT_USAGE);
+		else
+			options.files.push(arg);
+	}
+	if (options.help)
+		return options;
+	if (options.schema === null)
+		throw cli_error('Missing --schema', EXIT_USAGE);
+	if (!['human', 'json', 'github'].includes(options.format))
+		throw cli_error(`Unknown format ${options.format}`, EXIT_USAGE);
+	if (!['fail', 'strip', 'report-all'].includes(options.unknown))
+		throw cli_error(`Unknown mode ${options.unknown} for --unknown`, EXIT_USAGE);
+	if (options.files.length === 0)
+		options.files.push('-');
+	if (options.watch && options.files.includes('-'))
+		throw cli_error('--watch needs files, not stdin', EXIT_USAGE);
+	return options;
+}
+
+// Modules are cached by URL, so a changed module needs a new one
+async function load_schema(specifier, reload = false) {
+	let [file, name = 'default'] = specifier.split('#');
+	let url = pathToFileURL(resolve(file));
+	if (reload)
+		url.search = `?t=${Date.now()}`;
+	let module;
+	try {
+		module = await import(url.href);
+	}
+	catch (e) {
+		throw cli_error(`Cannot load schema module ${file}: ${e.message}`, EXIT_INVALID_SCHEMA);
+	}
+	if (!Object.prototype.hasOwnProperty.call(module, name))
+		throw cli_error(`Schema module ${file} has no export named ${name}`, EXIT_INVALID_SCHEMA);
+	let schema = module[name];
+	try {
+		compile(schema);
+	}
+	catch (e) {
+		throw cli_error(`Invalid schema ${specifier}: ${e.message}`, EXIT_INVALID_SCHEMA);
+	}
+	return schema;
+}
+
+async function read_input(file) {
+	if (file !== '-')
+		return readFile(file);
+	let chunks = [];
+	for await (let chunk of process.stdin)
+		chunks.push(chunk);
+	return Buffer.concat(chunks);
+}
+
+// Turns byte offsets into the file into 1-based lines and columns. The lines are found once per file.
+function positions(bytes) {
+	let line_starts = [0];
+	for (let i = bytes.indexOf(10); i !== -1; i = bytes.indexOf(10, i + 1))
+		line_starts.push(i + 1);
+	return (offset) => {
+		let low = 0, high = line_starts.length - 1;
+		while (low < high) {
+			let middle = (low + high + 1) >> 1;
+			if (line_starts[middle] <= offset)
+				low = middle;
+			else
+				high = middle - 1;
+		}
+		return { line: low + 1, column: bytes.subarray(line_starts[low], offset).toString().length + 1 };
+	};
+}
+
+const messages = messageFormatter(englishMessages);
+
+async function validate_file(schema, file, options) {
+	let name = file === '-' ? '<stdin>' : file;
+	let bytes;
+	try {
+		bytes = await read_input(file);
+	}
+	catch (e) {
+		throw cli_error(`Cannot read ${name}: ${e.message}`, EXIT_USAGE);
+	}
+	let errors;
+	let position = positions(bytes);
+	try {
+		let res = await validateStream(schema, [bytes], { messages, unknown: options.unknown });
+		errors = res === true ? [] : res.map(({ path, code, message, offset }) => ({ path, code, message, ...position(offset) }));
+	}
+	catch (e) {
+		if (!(e instanceof SyntaxError))
+			throw e;
+		errors = [{ path: [], code: 'invalid_json', message: e.message, ...position(e.offset ?? 0) }];
+	}
+	return { file: name, valid: errors.length === 0, errors };
+}
+
+// GitHub workflow commands need some characters escaped
+function escape_github(s, property = false) {
+	s = s.replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+	return property ? s.replace(/:/g, '%3A').replace(/,/g, '%2C') : s;
+}
+
+function print(results, format) {
+	if (format === 'json') {
+		console.log(JSON.stringify({ valid: results.every((result) => result.valid), files: results }, null, 2));
+		return;
+	}
+	for (let { file, valid, errors } of results) {
+		if (format === 'human' && valid)
+			console.log(`${file}: valid`);
+		for (let { path, code, message, line, column } of errors) {
+			let where = path.length > 0 ? toJSPath(path) : '(root)';
+			let title = code === 'invalid_json' ? 'Invalid JSON' : 'Schema validation failed';
+			if (format === 'github')
+				console.log(`::error file=${escape_github(file, true)},line=${line},col=${column},title=${escape_github(title, true)}::${escape_github(`${where}: ${message}`)}`);
+			else
+				console.log(`${file}:${line}:${column}: ${where}: ${message}`);
+		}
+	}
+}
+
+async function run(options, reload = false) {
+	let schema = await load_schema(options.schema, reload);
+	let results = [];
+	for (let file of options.files)
+		results.push(await validate_file(schema, file, options));
+	print(results, options.format);
+	return results.every((result) => result.valid) ? 0 : EXIT_INVALID_DATA;
+}
+
+function exit_code_of(e) {
+	console.error(e.message);
+	return e.exit_code ?? EXIT_USAGE;
+}
+
+function watch_files(options) {
+	let timer = null;
+	let again = () => {
+		// Editors often write a file in several steps
+		clearTimeout(timer);
+		timer = setTimeout(() => {
+			console.log(`\n--- ${new Date().toLocaleTimeString()} ---`);
+			run(options, true).catch(exit_code_of);
+		}, 100);
+	};
+	let watchers = [];
+	try {
+		for (let file of [options.schema.split('#')[0], ...options.files])
+			watchers.push(watch(file, again));
+	}
+	catch (e) {
+		for (let watcher of watchers)
+			watcher.close();
+		throw cli_error(`Cannot watch ${e.path}: ${e.message}`, EXIT_USAGE);
+	}
+	console.log('Watching for changes, press Ctrl+C to stop.');
+}
+
+async function main() {
+	let options;
+	try {
+		options = parse_args(process.argv.slice(2));
+	}
+	catch (e) {
+		console.error(`${e.message}\n\n${usage}`);
+		return EXIT_USAGE;
+	}
+	if (options.help) {
+		console.log(usage);
+		return 0;
+	}
+	let code;
+	try {
+		code = await run(options);
+	}
+	catch (e) {
+		code = exit_code_of(e);
+	}
+	if (options.watch) {
+		try {
+			watch_files(options);
+		}
+		catch (e) {
+			return exit_code_of(e);
+		}
+		return null;
+	}
+	return code;
+}
+
+let code = await main();
+if (code !== null)
+	process.exitCode = code;
@@ -0,0 +1,114 @@
+/**
+ * Validating requests in web servers. See README.md for documentation.
+ */
+import { Schema, ParseOptions, ErrorCode } from './validate.js';
+export interface RequestSchemata {
+    body?: Schema;
+    query?: Schema;
+    params?: Schema;
+    headers?: Schema;
+    response?: Schema;
+}
+export interface RequestParts {
+    body?: unknown;
+    query?: unknown;
+    params?: unknown;
+    headers?: unknown;
+}
+export interface MiddlewareOptions extends Omit<ParseOptions, 'errors' | 'errorFormat' | 'coerce'> {
+    validateResponses?: boolean;
+    maxBodySize?: number;
+}
+export interface ProblemDetails {
+    type: string;
+    title: string;
+    status: number;
+    detail: string;
+    errors: ProblemError[];
+}
+export interface ProblemError {
+    in: keyof RequestParts | 'response';
+    pointer: string;
+    code: ErrorCode | 'custom';
+    detail: string;
+}
+export interface RequestValidator {
+    request(parts: RequestParts): {
+        value: RequestParts;
+        problem: null;
+    } | {
+        value: unknown;
+        problem: ProblemDetails;
+    };
+    response(body: unknown): ProblemDetails | null;
+    readonly validateResponses: boolean;
+    readonly maxBodySize: number;
+}
+/**
+ * Creates a validator for the parts of requests, for use by any web framework. See nodeHandler(), expressMiddleware()
+ * and fetchHandler() for some of them.
+ *
+ * @param {object} schemata a schema for each part of the request to validate, e.g. { body: schema, query: schema }
+ * @param {object} options see validateJSON(), and validateResponses and maxBodySize
+ * @returns {object} { request(parts), response(body) }
+ * @throws if a schema is invalid
+ */
+export declare function requestValidator(schemata: RequestSchemata, options?: MiddlewareOptions): RequestValidator;
+export interface NodeRequest extends AsyncIterable<string | Uint8Array> {
+    url?: string;
+    headers: Record<string, string | string[] | undefined>;
+    body?: unknown;
+    query?: unknown;
+    params?: unknown;
+}
+export interface NodeResponse {
+    statusCode: number;
+    readonly headersSent: boolean;
+    getHeader(name: string): unknown;
+    setHeader(name: string, value: string | number | readonly string[]): unknown;
+    writeHead(...args: any[]): unknown;
+    write(...args: any[]): unknown;
+    end(...args: any[]): unknown;
+    destroy(error?: Error): unknown;
+}
+/**
+ * Wraps a handler for Node's http server, which is only called for valid requests. Others get a problem+json response.
+ *
+ * The body is read as JSON, and the query taken from the URL. Routers may set req.params.
+ * If reading the request or the handler fails, the response is a 500 problem, or closed if it has already begun.
+ *
+ * @param {object} schemata see requestValidator()
+ * @param {function} handler called as handler(req, res, value), with the validated parts of the request in value
+ * @param {object} options see requestValidator()
+ * @returns {function} a request listener for http.createServer()
+ * @throws if a schema is invalid
+ */
+export declare function nodeHandler<Req extends NodeRequest, Res extends NodeResponse>(schemata: RequestSchemata, handler: (req: Req, res: Res, value: RequestParts) => unknown, options?: MiddlewareOptions): (req: Req, res: Res) => Promise<void>;
+/**
+ * Creates middleware for Express and frameworks like it, validating req.body, req.query, req.params and req.headers.
+ *
+ * The validated parts of the request are stored in req.validated. Invalid requests get a problem+json response,
+ * and next() is not called. Without a body parser like express.json(), the body is read as JSON.
+ *
+ * @param {object} schemata see requestValidator()
+ * @param {object} options see requestValidator()
+ * @returns {function} middleware called as (req, res, next)
+ * @throws if a schema is invalid
+ */
+export declare function expressMiddleware<Req extends NodeRequest, Res extends NodeResponse>(schemata: RequestSchemata, options?: MiddlewareOptions): (req: Req & {
+    validated?: RequestParts;
+}, res: Res, next: (error?: unknown) => void) => void;
+export interface FetchContext {
+    params?: unknown;
+}
+/**
+ * Wraps a handler taking a Fetch API Request and returning a Response, which is only called for valid requests.
+ * Others get a problem+json response.
+ *
+ * @param {object} schemata see requestValidator()
+ * @param {function} handler called as handler(request, value, context), with the validated parts of the request in value
+ * @param {object} options see requestValidator()
+ * @returns {function} a handler called as (request, context), where context.params may hold the params of the route
+ * @throws if a schema is invalid
+ */
+export declare function fetchHandler<C extends FetchContext>(schemata: RequestSchemata, handler: (request: Request, value: RequestParts, context: C | undefined) => Response | Promise<Response>, options?: MiddlewareOptions): (request: Request, context?: C) => Promise<Response>;
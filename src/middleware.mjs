@@ -0,0 +1,293 @@
+/**
+ * Validating requests in web servers. See README.md for documentation.
+ */
+import validateJSON, { parse, and, object, string, array, toJSONPointer, messageFormatter, englishMessages } from './validate.mjs';
+const DEBUG = process.env.NODE_ENV === 'development';
+const request_parts = ['params', 'query', 'headers', 'body'];
+const status_titles = { 400: 'Bad Request', 413: 'Content Too Large', 500: 'Internal Server Error' };
+/**
+ * Creates a validator for the parts of requests, for use by any web framework. See nodeHandler(), expressMiddleware()
+ * and fetchHandler() for some of them.
+ *
+ * @param {object} schemata a schema for each part of the request to validate, e.g. { body: schema, query: schema }
+ * @param {object} options see validateJSON(), and validateResponses and maxBodySize
+ * @returns {object} { request(parts), response(body) }
+ * @throws if a schema is invalid
+ */
+export function requestValidator(schemata, options = {}) {
+    // and() compiles each schema just once, and throws if it is invalid
+    let compiled = new Map();
+    for (let [part, schema] of Object.entries(schemata)) {
+        if (schema !== undefined)
+            compiled.set(part, and(schema));
+    }
+    let parse_options = { ...options, messages: options.messages ?? messageFormatter(englishMessages), errorFormat: 'list' };
+    return {
+        request(parts) {
+            let value = {};
+            let errors = [];
+            for (let part of request_parts) {
+                let schema = compiled.get(part);
+                if (schema === undefined) {
+                    value[part] = parts[part];
+                    continue;
+                }
+                // Everything but the body arrives as strings
+                let res = parse(schema, parts[part], { ...parse_options, coerce: part !== 'body', unknown: part === 'headers' ? 'strip' : options.unknown });
+                value[part] = res.value;
+                if (res.errors !== null)
+                    errors.push(...problem_errors(part, res.errors));
+            }
+            if (errors.length > 0)
+                return { value, problem: problem_details(400, 'The request does not match the schema', errors) };
+            return { value, problem: null };
+        },
+        response(body) {
+            let schema = compiled.get('response');
+            if (schema === undefined)
+                return null;
+            let res = validateJSON(schema, body, parse_options);
+            return res === true ? null : problem_details(500, 'The response does not match the schema', problem_errors('response', res));
+        },
+        validateResponses: options.validateResponses ?? DEBUG,
+        maxBodySize: options.maxBodySize ?? 1000000,
+    };
+}
+function problem_details(status, detail, errors = []) {
+    return { type: 'about:blank', title: status_titles[status], status, detail, errors };
+}
+function problem_errors(part, errors) {
+    return errors.map(({ path, code, message }) => ({ in: part, pointer: `#${toJSONPointer(path)}`, code, detail: message }));
+}
+// Reads a JSON body, returning undefined for an empty one, or the problem if it is too large or not JSON
+async function read_json_body(source, max_size) {
+    let decoder = new TextDecoder();
+    let text = '';
+    let size = 0;
+    for await (let chunk of read_chunks(source)) {
+        size += string(chunk) ? utf8_length(chunk) : chunk.length;
+        if (size > max_size)
+            return { body: undefined, problem: problem_details(413, `The request body is larger than ${max_size} bytes`) };
+        text += string(chunk) ? chunk : decoder.decode(chunk, { stream: true });
+    }
+    text += decoder.decode();
+    if (text.trim() === '')
+        return { body: undefined, problem: null };
+    try {
+        return { body: JSON.parse(text), problem: null };
+    }
+    catch (e) {
+        return { body: undefined, problem: problem_details(400, `The request body is not JSON: ${e.message}`) };
+    }
+}
+async function* read_chunks(source) {
+    if (Symbol.asyncIterator in source) {
+        yield* source;
+        return;
+    }
+    // Not all browsers can iterate a ReadableStream
+    let reader = source.getReader();
+    let done = false;
+    try {
+        while (true) {
+            let res = await reader.read();
+            if (res.done) {
+                done = true;
+                return;
+            }
+            yield res.value;
+        }
+    }
+    finally {
+        if (!done)
+            await reader.cancel();
+        reader.releaseLock();
+    }
+}
+function utf8_length(text) {
+    return new TextEncoder().encode(text).length;
+}
+// Repeated parameters become arrays
+function query_object(params) {
+    let query = new Map();
+    for (let [key, value] of params) {
+        let previous = query.get(key);
+        query.set(key, previous === undefined ? value : array(previous) ? [...previous, value] : [previous, value]);
+    }
+    // Unlike assignments, this creates a property named __proto__ as well
+    return Object.fromEntries(query);
+}
+function is_json_type(type) {
+    return string(type) && /^application\/([^;]*\+)?json\s*(;|$)/i.test(type);
+}
+/**
+ * Wraps a handler for Node's http server, which is only called for valid requests. Others get a problem+json response.
+ *
+ * The body is read as JSON, and the query taken from the URL. Routers may set req.params.
+ * If reading the request or the handler fails, the response is a 500 problem, or closed if it has already begun.
+ *
+ * @param {object} schemata see requestValidator()
+ * @param {function} handler called as handler(req, res, value), with the validated parts of the request in value
+ * @param {object} options see requestValidator()
+ * @returns {function} a request listener for http.createServer()
+ * @throws if a schema is invalid
+ */
+export function nodeHandler(schemata, handler, options = {}) {
+    let validator = requestValidator(schemata, options);
+    return async (req, res) => {
+        try {
+            let value = await validate_node_request(validator, schemata, req, res, false);
+            if (value !== null)
+                await handler(req, res, value);
+        }
+        catch (e) {
+            // Nobody awaits the listener, so this must not throw
+            held_responses.get(res)?.();
+            if (res.headersSent)
+                res.destroy(e);
+            else
+                send_problem(res, problem_details(500, 'The request could not be handled'));
+        }
+    };
+}
+/**
+ * Creates middleware for Express and frameworks like it, validating req.body, req.query, req.params and req.headers.
+ *
+ * The validated parts of the request are stored in req.validated. Invalid requests get a problem+json response,
+ * and next() is not called. Without a body parser like express.json(), the body is read as JSON.
+ *
+ * @param {object} schemata see requestValidator()
+ * @param {object} options see requestValidator()
+ * @returns {function} middleware called as (req, res, next)
+ * @throws if a schema is invalid
+ */
+export function expressMiddleware(schemata, options = {}) {
+    let validator = requestValidator(schemata, options);
+    return (req, res, next) => {
+        validate_node_request(validator, schemata, req, res, true).then((value) => {
+            if (value === null)
+                return;
+            req.validated = value;
+            next();
+        }, next);
+    };
+}
+// Returns the validated parts, or null after sending the problem
+async function validate_node_request(validator, schemata, req, res, express) {
+    let body = express ? req.body : undefined;
+    if (body === undefined && schemata.body !== undefined) {
+        let read = await read_json_body(req, validator.maxBodySize);
+        if (read.problem !== null) {
+            send_problem(res, read.problem);
+            return null;
+        }
+        body = read.body;
+    }
+    let query = express && req.query !== undefined ? req.query : query_object(new URL(req.url ?? '/', 'http://localhost').searchParams);
+    let result = validator.request({ body, query, params: req.params ?? {}, headers: req.headers });
+    if (result.problem !== null) {
+        send_problem(res, result.problem);
+        return null;
+    }
+    if (validator.validateResponses && schemata.response !== undefined)
+        hold_response(res, validator);
+    return result.value;
+}
+function send_problem(res, problem) {
+    let text = JSON.stringify(problem);
+    res.statusCode = problem.status;
+    res.setHeader('content-type', 'application/problem+json');
+    res.setHeader('content-length', utf8_length(text));
+    res.end(text);
+}
+// Responses held back by hold_response(), with a function to send them as usual again, dropping what was held
+const held_responses = new WeakMap();
+// Holds back the response until it is complete, so a successful JSON response not matching schemata.response
+// can be replaced by a problem. Only meant for development, as nothing is sent before the end.
+function hold_response(res, validator) {
+    let chunks = [];
+    let { writeHead, write, end } = res;
+    held_responses.set(res, () => {
+        Object.assign(res, { writeHead, write, end });
+        held_responses.delete(res);
+    });
+    res.writeHead = (status, ...args) => {
+        res.statusCode = status;
+        let headers = args.find((arg) => object(arg));
+        for (let name in headers)
+            res.setHeader(name, headers[name]);
+        return res;
+    };
+    res.write = (chunk) => {
+        chunks.push(chunk);
+        return true;
+    };
+    res.end = (chunk, ...args) => {
+        held_responses.get(res)();
+        if (string(chunk) || chunk instanceof Uint8Array)
+            chunks.push(chunk);
+        let callback = [chunk, ...args].find((arg) => typeof arg === 'function');
+        let problem = null;
+        if (res.statusCode >= 200 && res.statusCode < 300 && is_json_type(res.getHeader('content-type'))) {
+            let decoder = new TextDecoder();
+            let text = chunks.map((chunk) => string(chunk) ? chunk : decoder.decode(chunk, { stream: true })).join('') + decoder.decode();
+            try {
+                problem = validator.response(JSON.parse(text));
+            }
+            catch (e) {
+                problem = problem_details(500, `The response is not JSON: ${e.message}`);
+            }
+        }
+        if (problem !== null) {
+            send_problem(res, problem);
+            return res;
+        }
+        for (let chunk of chunks)
+            res.write(chunk);
+        return res.end(callback);
+    };
+}
+/**
+ * Wraps a handler taking a Fetch API Request and returning a Response, which is only called for valid requests.
+ * Others get a problem+json response.
+ *
+ * @param {object} schemata see requestValidator()
+ * @param {function} handler called as handler(request, value, context), with the validated parts of the request in value
+ * @param {object} options see requestValidator()
+ * @returns {function} a handler called as (request, context), where context.params may hold the params of the route
+ * @throws if a schema is invalid
+ */
+export function fetchHandler(schemata, handler, options = {}) {
+    let validator = requestValidator(schemata, options);
+    return async (request, context) => {
+        let body;
+        if (schemata.body !== undefined && request.body !== null) {
+            let read = await read_json_body(request.body, validator.maxBodySize);
+            if (read.problem !== null)
+                return problem_response(read.problem);
+            body = read.body;
+        }
+        let result = validator.request({
+            body,
+            query: query_object(new URL(request.url).searchParams),
+            params: (await context?.params) ?? {},
+            headers: Object.fromEntries(request.headers),
+        });
+        if (result.problem !== null)
+            return problem_response(result.problem);
+        let response = await handler(request, result.value, context);
+        if (!validator.validateResponses || schemata.response === undefined || !response.ok || !is_json_type(response.headers.get('content-type')))
+            return response;
+        let problem;
+        try {
+            problem = validator.response(await response.clone().json());
+        }
+        catch (e) {
+            problem = problem_details(500, `The response is not JSON: ${e.message}`);
+        }
+        return problem === null ? response : problem_response(problem);
+    };
+}
+function problem_response(problem) {
+    return new Response(JSON.stringify(problem), { status: problem.status, headers: { 'content-type': 'application/problem+json' } });
+}
@@ -0,0 +1,386 @@
+/**
+ * Validating requests in web servers. See README.md for documentation.
+ */
+
+import validateJSON, { Schema, ParseOptions, ErrorCode, ValidationError, parse, and, object, string, array, toJSONPointer, messageFormatter, englishMessages } from './validate.js';
+
+const DEBUG = process.env.NODE_ENV === 'development';
+
+// The parts of a request to validate. Each part without a schema is passed on as it is.
+export interface RequestSchemata {
+	body?: Schema;
+	query?: Schema;
+	params?: Schema;
+	// Header names are lowercase. Headers not in the schema are ignored, as there are always some.
+	headers?: Schema;
+	// The body of successful responses, only checked with options.validateResponses
+	response?: Schema;
+}
+export interface RequestParts {
+	body?: unknown;
+	query?: unknown;
+	params?: unknown;
+	headers?: unknown;
+}
+export interface MiddlewareOptions extends Omit<ParseOptions, 'errors' | 'errorFormat' | 'coerce'> {
+	// Validate the bodies of successful JSON responses against schemata.response. Defaults to true during development only.
+	validateResponses?: boolean;
+	// The largest request body read, in bytes. Defaults to 1 MB.
+	maxBodySize?: number;
+}
+
+// An error response as described by RFC 9457, with the errors as an extension
+export interface ProblemDetails {
+	type: string;
+	title: string;
+	status: number;
+	detail: string;
+	errors: ProblemError[];
+}
+export interface ProblemError {
+	// The part of the request, or the response
+	in: keyof RequestParts | 'response';
+	// A JSON Pointer into that part, as a URI fragment like #/items/0
+	pointer: string;
+	code: ErrorCode | 'custom';
+	detail: string;
+}
+
+export interface RequestValidator {
+	// Returns the parts of the request, with query, params and headers converted like coerce() does, or the problem with them
+	request(parts: RequestParts): { value: RequestParts, problem: null } | { value: unknown, problem: ProblemDetails };
+	// Returns the problem with a response body, or null if it matches schemata.response or there is none
+	response(body: unknown): ProblemDetails | null;
+	readonly validateResponses: boolean;
+	readonly maxBodySize: number;
+}
+
+const request_parts = ['params', 'query', 'headers', 'body'] as const;
+const status_titles: Record<number, string> = { 400: 'Bad Request', 413: 'Content Too Large', 500: 'Internal Server Error' };
+
+/**
+ * Creates a validator for the parts of requests, for use by any web framework. See nodeHandler(), expressMiddleware()
+ * and fetchHandler() for some of them.
+ *
+ * @param {object} schemata a schema for each part of the request to validate, e.g. { body: schema, query: schema }
+ * @param {object} options see validateJSON(), and validateResponses and maxBodySize
+ * @returns {object} { request(parts), response(body) }
+ * @throws if a schema is invalid
+ */
+export function requestValidator(schemata: RequestSchemata, options: MiddlewareOptions = {}): RequestValidator {
+	// and() compiles each schema just once, and throws if it is invalid
+	let compiled = new Map<string, Schema>();
+	for (let [part, schema] of Object.entries(schemata)) {
+		if (schema !== undefined)
+			compiled.set(part, and(schema));
+	}
+	let parse_options: ParseOptions & { errorFormat: 'list' } = { ...options, messages: options.messages ?? messageFormatter(englishMessages), errorFormat: 'list' };
+	return {
+		request(parts) {
+			let value: RequestParts = {};
+			let errors: ProblemError[] = [];
+			for (let part of request_parts) {
+				let schema = compiled.get(part);
+				if (schema === undefined) {
+					value[part] = parts[part];
+					continue;
+				}
+				// Everything but the body arrives as strings
+				let res = parse(schema, parts[part], { ...parse_options, coerce: part !== 'body', unknown: part === 'headers' ? 'strip' : options.unknown });
+				value[part] = res.value;
+				if (res.errors !== null)
+					errors.push(...problem_errors(part, res.errors));
+			}
+			if (errors.length > 0)
+				return { value, problem: problem_details(400, 'The request does not match the schema', errors) };
+			return { value, problem: null };
+		},
+		response(body) {
+			let schema = compiled.get('response');
+			if (schema === undefined)
+				return null;
+			let res = validateJSON(schema, body, parse_options);
+			return res === true ? null : problem_details(500, 'The response does not match the schema', problem_errors('response', res));
+		},
+		validateResponses: options.validateResponses ?? DEBUG,
+		maxBodySize: options.maxBodySize ?? 1000000,
+	};
+}
+
+function problem_details(status: number, detail: string, errors: ProblemError[] = []): ProblemDetails {
+	return { type: 'about:blank', title: status_titles[status], status, detail, errors };
+}
+
+function problem_errors(part: ProblemError['in'], errors: ValidationError[]): ProblemError[] {
+	return errors.map(({ path, code, message }) => ({ in: part, pointer: `#${toJSONPointer(path)}`, code, detail: message }));
+}
+
+// Reads a JSON body, returning undefined for an empty one, or the problem if it is too large or not JSON
+async function read_json_body(source: AsyncIterable<string | Uint8Array> | ReadableStream<Uint8Array>, max_size: number): Promise<{ body: unknown, problem: null } | { body: undefined, problem: ProblemDetails }> {
+	let decoder = new TextDecoder();
+	let text = '';
+	let size = 0;
+	for await (let chunk of read_chunks(source)) {
+		size += string(chunk) ? utf8_length(chunk) : chunk.length;
+		if (size > max_size)
+			return { body: undefined, problem: problem_details(413, `The request body is larger than ${max_size} bytes`) };
+		text += string(chunk) ? chunk : decoder.decode(chunk, { stream: true });
+	}
+	text += decoder.decode();
+	if (text.trim() === '')
+		return { body: undefined, problem: null };
+	try {
+		return { body: JSON.parse(text), problem: null };
+	}
+	catch (e) {
+		return { body: undefined, problem: problem_details(400, `The request body is not JSON: ${(e as Error).message}`) };
+	}
+}
+
+async function* read_chunks(source: AsyncIterable<string | Uint8Array> | ReadableStream<Uint8Array>): AsyncGenerator<string | Uint8Array, void, undefined> {
+	if (Symbol.asyncIterator in source) {
+		yield* source as AsyncIterable<string | Uint8Array>;
+		return;
+	}
+	// Not all browsers can iterate a ReadableStream
+	let reader = (source as ReadableStream<Uint8Array>).getReader();
+	let done = false;
+	try {
+		while (true) {
+			let res = await reader.read();
+			if (res.done) {
+				done = true;
+				return;
+			}
+			yield res.value;
+		}
+	}
+	finally {
+		if (!done)
+			await reader.cancel();
+		reader.releaseLock();
+	}
+}
+
+function utf8_length(text: string): number {
+	return new TextEncoder().encode(text).length;
+}
+
+// Repeated parameters become arrays
+function query_object(params: URLSearchParams): Record<string, string | string[]> {
+	let query = new Map<string, string | string[]>();
+	for (let [key, value] of params) {
+		let previous = query.get(key);
+		query.set(key, previous === undefined ? value : array(previous) ? [...previous, value] : [previous, value]);
+	}
+	// Unlike assignments, this creates a property named __proto__ as well
+	return Object.fromEntries(query);
+}
+
+function is_json_type(type: unknown): boolean {
+	return string(type) && /^application\/([^;]*\+)?json\s*(;|$)/i.test(type);
+}
+
+// The parts of Node's IncomingMessage and ServerResponse we use. Express adds body, query and params.
+export interface NodeRequest extends AsyncIterable<string | Uint8Array> {
+	url?: string;
+	headers: Record<string, string | string[] | undefined>;
+	body?: unknown;
+	query?: unknown;
+	params?: unknown;
+}
+export interface NodeResponse {
+	statusCode: number;
+	readonly headersSent: boolean;
+	getHeader(name: string): unknown;
+	setHeader(name: string, value: string | number | readonly string[]): unknown;
+	writeHead(...args: any[]): unknown;
+	write(...args: any[]): unknown;
+	end(...args: any[]): unknown;
+	destroy(error?: Error): unknown;
+}
+
+/**
+ * Wraps a handler for Node's http server, which is only called for valid requests. Others get a problem+json response.
+ *
+ * The body is read as JSON, and the query taken from the URL. Routers may set req.params.
+ * If reading the request or the handler fails, the response is a 500 problem, or closed if it has already begun.
+ *
+ * @param {object} schemata see requestValidator()
+ * @param {function} handler called as handler(req, res, value), with the validated parts of the request in value
+ * @param {object} options see requestValidator()
+ * @returns {function} a request listener for http.createServer()
+ * @throws if a schema is invalid
+ */
+export function nodeHandler<Req extends NodeRequest, Res extends NodeResponse>(schemata: RequestSchemata, handler: (req: Req, res: Res, value: RequestParts) => unknown, options: MiddlewareOptions = {}): (req: Req, res: Res) => Promise<void> {
+	let validator = requestValidator(schemata, options);
+	return async (req, res) => {
+		try {
+			let value = await validate_node_request(validator, schemata, req, res, false);
+			if (value !== null)
+				await handler(req, res, value);
+		}
+		catch (e) {
+			// Nobody awaits the listener, so this must not throw
+			held_responses.get(res)?.();
+			if (res.headersSent)
+				res.destroy(e as Error);
+			else
+				send_problem(res, problem_details(500, 'The request could not be handled'));
+		}
+	};
+}
+
+/**
+ * Creates middleware for Express and frameworks like it, validating req.body, req.query, req.params and req.headers.
+ *
+ * The validated parts of the request are stored in req.validated. Invalid requests get a problem+json response,
+ * and next() is not called. Without a body parser like express.json(), the body is read as JSON.
+ *
+ * @param {object} schemata see requestValidator()
+ * @param {object} options see requestValidator()
+ * @returns {function} middleware called as (req, res, next)
+ * @throws if a schema is invalid
+ */
+export function expressMiddleware<Req extends NodeRequest, Res extends NodeResponse>(schemata: RequestSchemata, options: MiddlewareOptions = {}): (req: Req & { validated?: RequestParts }, res: Res, next: (error?: unknown) => void) => void {
+	let validator = requestValidator(schemata, options);
+	return (req, res, next) => {
+		validate_node_request(validator, schemata, req, res, true).then((value) => {
+			if (value === null)
+				return;
+			req.validated = value;
+			next();
+		}, next);
+	};
+}
+
+// Returns the validated parts, or null after sending the problem
+async function validate_node_request(validator: RequestValidator, schemata: RequestSchemata, req: NodeRequest, res: NodeResponse, express: boolean): Promise<RequestParts | null> {
+	let body = express ? req.body : undefined;
+	if (body === undefined && schemata.body !== undefined) {
+		let read = await read_json_body(req, validator.maxBodySize);
+		if (read.problem !== null) {
+			send_problem(res, read.problem);
+			return null;
+		}
+		body = read.body;
+	}
+	let query = express && req.query !== undefined ? req.query : query_object(new URL(req.url ?? '/', 'http://localhost').searchParams);
+	let result = validator.request({ body, query, params: req.params ?? {}, headers: req.headers });
+	if (result.problem !== null) {
+		send_problem(res, result.problem);
+		return null;
+	}
+	if (validator.validateResponses && schemata.response !== undefined)
+		hold_response(res, validator);
+	return result.value;
+}
+
+function send_problem(res: NodeResponse, problem: ProblemDetails): void {
+	let text = JSON.stringify(problem);
+	res.statusCode = problem.status;
+	res.setHeader('content-type', 'application/problem+json');
+	res.setHeader('content-length', utf8_length(text));
+	res.end(text);
+}
+
+// Responses held back by hold_response(), with a function to send them as usual again, dropping what was held
+const held_responses = new WeakMap<NodeResponse, () => void>();
+
+// Holds back the response until it is complete, so a successful JSON response not matching schemata.response
+// can be replaced by a problem. Only meant for development, as nothing is sent before the end.
+function hold_response(res: NodeResponse, validator: RequestValidator): void {
+	let chunks: (string | Uint8Array)[] = [];
+	let { writeHead, write, end } = res;
+	held_responses.set(res, () => {
+		Object.assign(res, { writeHead, write, end });
+		held_responses.delete(res);
+	});
+	res.writeHead = (status: number, ...args: unknown[]) => {
+		res.statusCode = status;
+		let headers = args.find((arg) => object(arg)) as Record<string, unknown> | undefined;
+		for (let name in headers)
+			res.setHeader(name, headers[name] as string);
+		return res;
+	};
+	res.write = (chunk: string | Uint8Array) => {
+		chunks.push(chunk);
+		return true;
+	};
+	res.end = (chunk?: unknown, ...args: unknown[]) => {
+		held_responses.get(res)!();
+		if (string(chunk) || chunk instanceof Uint8Array)
+			chunks.push(chunk);
+		let callback = [chunk, ...args].find((arg) => typeof arg === 'function');
+		let problem = null;
+		if (res.statusCode >= 200 && res.statusCode < 300 && is_json_type(res.getHeader('content-type'))) {
+			let decoder = new TextDecoder();
+			let text = chunks.map((chunk) => string(chunk) ? chunk : decoder.decode(chunk, { stream: true })).join('') + decoder.decode();
+			try {
+				problem = validator.response(JSON.parse(text));
+			}
+			catch (e) {
+				problem = problem_details(500, `The response is not JSON: ${(e as Error).message}`);
+			}
+		}
+		if (problem !== null) {
+			send_problem(res, problem);
+			return res;
+		}
+		for (let chunk of chunks)
+			res.write(chunk);
+		return res.end(callback);
+	};
+}
+
+// The handler's context may hold the params, like in Next.js, where they are a promise
+export interface FetchContext {
+	params?: unknown;
+}
+
+/**
+ * Wraps a handler taking a Fetch API Request and returning a Response, which is only called for valid requests.
+ * Others get a problem+json response.
+ *
+ * @param {object} schemata see requestValidator()
+ * @param {function} handler called as handler(request, value, context), with the validated parts of the request in value
+ * @param {object} options see requestValidator()
+ * @returns {function} a handler called as (request, context), where context.params may hold the params of the route
+ * @throws if a schema is invalid
+ */
+export function fetchHandler<C extends FetchContext>(schemata: RequestSchemata, handler: (request: Request, value: RequestParts, context: C | undefined) => Response | Promise<Response>, options: MiddlewareOptions = {}): (request: Request, context?: C) => Promise<Response> {
+	let validator = requestValidator(schemata, options);
+	return async (request, context) => {
+		let body;
+		if (schemata.body !== undefined && request.body !== null) {
+			let read = await read_json_body(request.body, validator.maxBodySize);
+			if (read.problem !== null)
+				return problem_response(read.problem);
+			body = read.body;
+		}
+		let result = validator.request({
+			body,
+			query: query_object(new URL(request.url).searchParams),
+			params: (await context?.params) ?? {},
+			headers: Object.fromEntries(request.headers),
+		});
+		if (result.problem !== null)
+			return problem_response(result.problem);
+		let response = await handler(request, result.value, context);
+		if (!validator.validateResponses || schemata.response === undefined || !response.ok || !is_json_type(response.headers.get('content-type')))
+			return response;
+		let problem;
+		try {
+			problem = validator.response(await response.clone().json());
+		}
+		catch (e) {
+			problem = problem_details(500, `The response is not JSON: ${(e as Error).message}`);
+		}
+		return problem === null ? response : problem_response(problem);
+	};
+}
+
+function problem_response(problem: ProblemDetails): Response {
+	return new Response(JSON.stringify(problem), { status: problem.status, headers: { 'content-type': 'application/problem+json' } });
+}
+
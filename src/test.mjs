@@ -1,6 +1,13 @@
 
-import { and, and_all, or, boolean, number, integer, string, array, object, map, tuple, partial_object } from './validate.mjs';
-import { match, fail, throws, finish_tests } from './testharness.mjs';
+import validateJSON, { compile, validateAsync, toJSONSchema, fromJSONSchema, englishMessages, messageFormatter, toJSONPointer, toJSPath, describe, walkSchema, extend, merge, pick, omit, partial, required, dependent_required, mutually_exclusive, when, validateStream, validateNDJSON, generate, mutate, validatePatch, validateMergePatch, formState, parse, coerce, with_default, lazy, union, formats, format, registerFormat, range, multiple_of, length, non_empty, one_of, unique, and, and_all, or, boolean, number, integer, string, array, object, map, tuple, partial_object, plain_object } from './validate.mjs';
+import { requestValidator, nodeHandler, expressMiddleware, fetchHandler } from './middleware.mjs';
+import { match, fail, throws, equals, raises, rejects, generated, finish_tests } from './testharness.mjs';
+import { Readable } from 'node:stream';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
 
 // Functions as validators
 match(() => true, 123);
@@ -228,6 +235,14 @@ match({}, {});
 		optional3: ''
 	}, ['', '.optional2']);
 }
+{
+	// null stands for no optional properties
+	for (let schema of [object({ a: integer }, null), plain_object({ a: integer }, null)]) {
+		match(schema, { a: 1 });
+		fail(schema, { a: 1, b: 2 }, ['']);
+		fail(schema, {}, ['.a']);
+	}
+}
 // Partial objects
 {
 	let schema = partial_object({
@@ -397,5 +412,1735 @@ match({}, {});
 	throws(schema, null);
 }
 
+// Compiled schemata check the whole schema up front, even the parts no value reaches
+{
+	throws({ a: [string, -1] }, null);
+	// Combinators check their schemata when they are created. Exceptions thrown by functions are passed through.
+	throws(() => or(null, [string, 1, 2, 3]), null);
+	let validate = compile({ a: [string, 1] });
+	equals(validate({ a: ['x'] }), true);
+	equals(Object.keys(validate({ a: [] })), ['.a']);
+}
+{
+	// Compiled combinators can be nested
+	let schema = tuple(or(null, { a: [and(integer, (i) => i > 0)] }), map(/^[a-z]+$/, and_all(number, 1)));
+	match(schema, [null, {}]);
+	match(schema, [{ a: [1, 2] }, { x: 1 }]);
+	fail(schema, [{ a: [1, 0] }, { x: 1 }], ['[0]']);
+	fail(schema, [null, { x: 2 }], ['[1].x']);
+}
+
+// Conversion to JSON Schema
+{
+	let $schema = 'https://json-schema.org/draft/2020-12/schema';
+	equals(toJSONSchema(integer), { $schema, type: 'integer' });
+	equals(toJSONSchema(/^[a-z]+$/), { $schema, type: 'string', pattern: '^[a-z]+$' });
+	equals(toJSONSchema(null), { $schema, const: null });
+	equals(toJSONSchema([string, 1, 5]), { $schema, type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 5 });
+	equals(toJSONSchema(tuple(number, 'x')), { $schema, type: 'array', prefixItems: [{ type: 'number' }, { const: 'x' }], items: false, minItems: 2 });
+	equals(toJSONSchema({ a: boolean, 'b/c': [array] }), {
+		$schema,
+		type: 'object',
+		properties: { a: { type: 'boolean' }, 'b/c': { type: 'array', items: { type: 'array' } } },
+		required: ['a', 'b/c'],
+		additionalProperties: false,
+	});
+	equals(toJSONSchema(object({ a: string }, { b: string, c: string }, 1, 2)), {
+		$schema,
+		type: 'object',
+		properties: { a: { type: 'string' }, b: { type: 'string' }, c: { type: 'string' } },
+		required: ['a'],
+		additionalProperties: false,
+		minProperties: 2,
+		maxProperties: 3,
+	});
+	equals(toJSONSchema(partial_object({ a: 1 })), { $schema, type: 'object', properties: { a: { const: 1 } }, required: ['a'] });
+	equals(toJSONSchema(map(/^[0-9]+$/, integer, 1)), {
+		$schema,
+		type: 'object',
+		propertyNames: { type: 'string', pattern: '^[0-9]+$' },
+		additionalProperties: { type: 'integer' },
+		minProperties: 1,
+	});
+	equals(toJSONSchema(and(number, and_all(integer))), { $schema, allOf: [{ type: 'number' }, { allOf: [{ type: 'integer' }] }] });
+	equals(toJSONSchema(or(null, string)), { $schema, anyOf: [{ const: null }, { type: 'string' }] });
+	equals(toJSONSchema(or('blue', 'brown', 1)), { $schema, enum: ['blue', 'brown', 1] });
+
+	// Custom functions must be handled explicitly
+	let age = and(integer, (age) => age >= 0 && age < 150);
+	raises(() => toJSONSchema({ age }));
+	raises(() => toJSONSchema(/abc/i));
+	let pointers = [];
+	equals(toJSONSchema({ age }, {
+		untranslatable: (schema, pointer) => {
+			pointers.push(pointer);
+			return { description: 'A plausible age' };
+		},
+	}), {
+		$schema,
+		type: 'object',
+		properties: { age: { allOf: [{ type: 'integer' }, { description: 'A plausible age' }] } },
+		required: ['age'],
+		additionalProperties: false,
+	});
+	equals(pointers, ['/properties/age/allOf/1']);
+	raises(() => toJSONSchema([string, -1]));
+	raises(() => toJSONSchema(Symbol()));
+}
+
+// Conversion from JSON Schema
+{
+	let schema = fromJSONSchema({
+		$schema: 'https://json-schema.org/draft/2020-12/schema',
+		title: 'A person',
+		type: 'object',
+		properties: {
+			name: { type: 'string', pattern: '^[A-Z]' },
+			age: { type: 'integer', minimum: 0, maximum: 150 },
+			eyes: { enum: ['blue', 'brown'] },
+			homepage: { type: ['string', 'null'] },
+			hobbies: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+			position: { type: 'array', prefixItems: [{ type: 'number' }, { type: 'number' }], items: false, minItems: 2 },
+		},
+		required: ['name', 'age'],
+		additionalProperties: false,
+	});
+	match(schema, { name: 'Christian', age: 40 });
+	match(schema, { name: 'Christian', age: 40, eyes: 'blue', homepage: null, hobbies: [], position: [1, 2] });
+	fail(schema, { name: 'christian', age: 40.5, eyes: 'red', homepage: 1, hobbies: ['a', 'b', 'c'], position: [1] }, ['.name', '.age', '.eyes', '.homepage', '.hobbies', '.position']);
+	fail(schema, { name: 'Christian', age: 200 }, ['.age']);
+	fail(schema, { name: 'Christian' }, ['.age']);
+	fail(schema, { name: 'Christian', age: 40, unknown: 1 }, ['']);
+	fail(schema, [], ['']);
+	// toJSONSchema can convert the result back
+	equals(toJSONSchema(fromJSONSchema({ type: 'object', properties: { a: { const: 1 } }, required: ['a'], additionalProperties: false })), {
+		$schema: 'https://json-schema.org/draft/2020-12/schema',
+		type: 'object',
+		properties: { a: { const: 1 } },
+		required: ['a'],
+		additionalProperties: false,
+	});
+	// A required property which is not allowed makes the schema unsatisfiable
+	let never = fromJSONSchema({ type: 'object', properties: { a: { type: 'string' } }, required: ['a', 'b'], additionalProperties: false });
+	fail(never, { a: 'x' }, ['.b']);
+	fail(never, { a: 'x', b: 1 }, ['.b']);
+	fail(fromJSONSchema({ type: 'object', required: ['b'], additionalProperties: false }), { b: null }, ['.b']);
+	// Other additional properties may still have it
+	match(fromJSONSchema({ type: 'object', required: ['b'], additionalProperties: { type: 'integer' } }), { b: 1 });
+	fail(fromJSONSchema({ type: 'object', required: ['b'], additionalProperties: { type: 'integer' } }), { b: 'x' }, ['.b']);
+}
+{
+	// Without additionalProperties: false, unknown properties are allowed
+	let schema = fromJSONSchema({
+		properties: { a: { type: 'integer' }, b: { type: 'integer' } },
+		required: ['a'],
+		additionalProperties: { type: 'string' },
+	});
+	match(schema, { a: 1 });
+	match(schema, { a: 1, b: 2, c: 'c' });
+	fail(schema, { b: 2 }, ['.a']);
+	fail(schema, { a: 1, b: 'b', c: 3 }, ['.b', '.c']);
+	// Keywords for objects do not apply to other types
+	match(schema, 'not an object');
+}
+{
+	// Prefix items without a fixed length
+	let schema = fromJSONSchema({ type: 'array', prefixItems: [{ const: 'x' }], items: { type: 'number' }, maxItems: 3 });
+	match(schema, []);
+	match(schema, ['x', 1, 2]);
+	fail(schema, ['y', 1, 'z'], ['[0]', '[2]']);
+	fail(schema, ['x', 1, 2, 3], ['']);
+}
+{
+	// Combinators and references
+	let schema = fromJSONSchema({
+		$defs: {
+			positive: { type: 'number', minimum: 0 },
+			tree: {
+				type: 'object',
+				properties: { value: { $ref: '#/$defs/positive' }, children: { type: 'array', items: { $ref: '#/$defs/tree' } } },
+				required: ['value', 'children'],
+				additionalProperties: false,
+			},
+		},
+		anyOf: [
+			{ $ref: '#/$defs/tree' },
+			{ allOf: [{ type: 'integer' }, { $ref: '#/$defs/positive' }] },
+			{ oneOf: [{ const: 'a' }, { type: 'string', pattern: '^[ab]$' }] },
+		],
+	});
+	match(schema, 3);
+	fail(schema, 'a'); // matches both variants of oneOf
+	match(schema, 'b');
+	fail(schema, 'c');
+	fail(schema, -3);
+	match(schema, { value: 1, children: [{ value: 2, children: [] }] });
+	fail(schema, { value: 1, children: [{ value: -2, children: [] }] });
+	match(fromJSONSchema(true), 'anything');
+	fail(fromJSONSchema(false), 'anything');
+	fail(fromJSONSchema({ not: { type: 'string' } }), 'string');
+}
+{
+	// Imported schemata report with the caller's options, like the provided combinators
+	let messages = messageFormatter(englishMessages);
+	let codes = (schema, value, options = {}) => validateJSON(fromJSONSchema(schema), value, { ...options, errorFormat: 'list' }).map(({ path, code, params }) => [toJSONPointer(path), code, params]);
+	let schema = { type: 'object', properties: { a: { type: 'integer' } }, additionalProperties: { type: 'string' } };
+	equals(validateJSON(fromJSONSchema(schema), { a: 'x', b: 1 }, { messages }), { '.a': 'Expected integer', '.b': 'Expected string' });
+	equals(codes(schema, { a: 'x', b: 1 }), [['/a', 'expected_type', { expected: 'integer' }], ['/b', 'expected_type', { expected: 'string' }]]);
+	equals(codes({ type: 'array', prefixItems: [{ const: 'x' }], items: { type: 'number' } }, ['y', 'z']), [['/0', 'literal_mismatch', { expected: 'x' }], ['/1', 'expected_type', { expected: 'number' }]]);
+	equals(codes({ oneOf: [{ const: 'a' }, { type: 'string' }] }, 'a'), [['', 'variant_count', { count: 2 }]]);
+	equals(codes({ oneOf: [{ const: 'a' }, { type: 'string' }] }, 1), [['', 'variant_count', { count: 0 }]]);
+	equals(codes({ not: { type: 'string' } }, 'a'), [['', 'excluded_match', {}]]);
+	equals(validateJSON(fromJSONSchema({ not: { type: 'string' } }), 'a', { messages }), { '': 'not: value matches the schema' });
+	equals(coerce(fromJSONSchema({ type: 'array', prefixItems: [{ type: 'integer' }], items: { type: 'boolean' } }), ['1', 'true']).value, [1, true]);
+	equals(coerce(fromJSONSchema({ type: 'object', properties: { n: { type: 'integer' } } }), { n: '2', m: 'x' }).value, { n: 2, m: 'x' });
+}
+raises(() => fromJSONSchema({ type: 'object', patternProperties: { '^a': {} } }));
+raises(() => fromJSONSchema({ type: 'strin' }));
+raises(() => fromJSONSchema({ $ref: 'https://example.com/schema.json' }));
+raises(() => fromJSONSchema({ $ref: '#/$defs/missing' }));
+raises(() => fromJSONSchema({ enum: [{ a: 1 }] }));
+raises(() => fromJSONSchema({ anyOf: [] }));
+
+// Error codes and messages
+{
+	// A formatter receives the code and parameters of each built-in error
+	let codes = (code, params) => JSON.stringify([code, params]);
+	let schema = {
+		type: /^[a-z]+$/,
+		literal: 1,
+		list: [integer, 1, 2],
+		options: object({}, { a: 1, b: 2 }, 1),
+		pair: tuple(string, string),
+		dict: map(/^[a-z]+$/, number, 1),
+		variant: or(null, string),
+		custom: () => false,
+	};
+	equals(validateJSON(schema, {
+		type: 'A',
+		literal: 2,
+		list: [],
+		options: {},
+		pair: [''],
+		dict: {},
+		variant: 1,
+		custom: 1,
+	}, { messages: codes }), {
+		'.type': JSON.stringify(['regexp_mismatch', { pattern: '^[a-z]+$' }]),
+		'.literal': JSON.stringify(['literal_mismatch', { expected: 1 }]),
+		'.list': JSON.stringify(['array_length', { length: 0, min: 1, max: 2 }]),
+		'.options': JSON.stringify(['optional_count', { count: 0, min: 1, max: Number.MAX_SAFE_INTEGER }]),
+		'.pair': JSON.stringify(['array_length', { length: 1, min: 2, max: 2 }]),
+		'.dict': JSON.stringify(['map_entries', { count: 0, min: 1, max: Number.MAX_SAFE_INTEGER }]),
+		'.variant': JSON.stringify(['no_variant_matched', {}]),
+		'.custom': JSON.stringify(['invalid', {}]),
+	});
+	equals(validateJSON(schema, { type: 1, unknown: 1 }, { messages: codes }), { '': JSON.stringify(['unexpected_property', { property: 'unknown' }]) });
+	equals(compile({ a: integer, b: [string] }, { messages: codes })({ b: 1 }), {
+		'.a': JSON.stringify(['missing_property', { property: 'a' }]),
+		'.b': JSON.stringify(['expected_type', { expected: 'array' }]),
+	});
+	equals(validateJSON({ a: object, b: plain_object }, { a: [], b: new Date() }, { messages: codes }), {
+		'.a': JSON.stringify(['expected_type', { expected: 'object' }]),
+		'.b': JSON.stringify(['expected_type', { expected: 'plain object' }]),
+	});
+	// Without a formatter, custom functions returning false have an empty message, during development as well
+	equals(validateJSON(() => false, 1), { '': '' });
+	equals(validateJSON(() => false, 1, { messages: messageFormatter(englishMessages) }), { '': 'Invalid value' });
+
+	// English messages, or translations
+	let english = messageFormatter(englishMessages);
+	equals(validateJSON({ a: integer, b: 'b' }, { a: 'a', b: 'c' }, { messages: english }), { '.a': 'Expected integer', '.b': 'Expected "b"' });
+	let german = messageFormatter({
+		missing_property: 'Eigenschaft {property} fehlt',
+		array_length: ({ min }) => `Mindestens ${min} Einträge`,
+	});
+	equals(validateJSON({ a: integer, b: [string, 2] }, { b: [] }, { messages: german }), { '.a': 'Eigenschaft a fehlt', '.b': 'Mindestens 2 Einträge' });
+	equals(validateJSON(1, 2, { messages: german }), { '': 'Expected 1' }); // falls back to English
+	// Messages returned by custom functions are not changed
+	equals(validateJSON(() => 'Custom', null, { messages: german }), { '': 'Custom' });
+}
+
+// Errors as a list
+{
+	let items = [/^[a-z]+$/];
+	let schema = {
+		'a.b': items,
+		c: tuple(integer),
+		d: (v) => ({ '.x[1]': 'custom' }),
+	};
+	let value = { 'a.b': ['ok', 'NOT OK'], c: ['1'], d: { x: [0, 1] } };
+	let errors = validateJSON(schema, value, { errorFormat: 'list', messages: (code) => code });
+	equals(errors.map(({ path, code, value, message }) => ({ path, code, value, message })), [
+		{ path: ['a.b', 1], code: 'regexp_mismatch', value: 'NOT OK', message: 'regexp_mismatch' },
+		{ path: ['c', 0], code: 'expected_type', value: '1', message: 'expected_type' },
+		{ path: ['d', 'x', 1], code: 'custom', value: 1, message: 'custom' },
+	]);
+	equals(errors[0].schema === items[0] && errors[2].schema === schema.d, true);
+	equals(errors.map(({ path }) => toJSONPointer(path)), ['/a.b/1', '/c/0', '/d/x/1']);
+	equals(errors.map(({ path }) => toJSPath(path)), ['["a.b"][1]', '.c[0]', '.d.x[1]']);
+	equals(toJSONPointer(['a/b', 'c~d', '']), '/a~1b/c~0d/');
+	equals(toJSPath([]), '');
+
+	// Missing properties are reported at their own path, errors of combinators point at the combinator
+	let person = object({ name: string }, {});
+	errors = compile({ person }, { errorFormat: 'list' })({ person: {} });
+	equals(errors.map(({ path, code, params, value }) => ({ path, code, params, value })), [
+		{ path: ['person', 'name'], code: 'missing_property', params: { property: 'name' } },
+	]);
+	equals(errors[0].schema === person, true);
+	equals(validateJSON(string, '', { errorFormat: 'list' }), true);
+}
+
+// Coercion
+{
+	equals(coerce(integer, '42'), { value: 42, errors: null });
+	equals(coerce(number, '-1.5e3'), { value: -1500, errors: null });
+	equals(coerce(boolean, 'false'), { value: false, errors: null });
+	equals(coerce(42, '42'), { value: 42, errors: null });
+	equals(coerce(true, 'true'), { value: true, errors: null });
+	equals(coerce(string, '42'), { value: '42', errors: null });
+	equals(coerce([string], 'a'), { value: ['a'], errors: null });
+	equals(coerce([integer], ['1', '2']), { value: [1, 2], errors: null });
+	equals(coerce(or(integer, 'all'), 'all'), { value: 'all', errors: null });
+	equals(coerce(and(integer, (v) => v > 0), '5'), { value: 5, errors: null });
+	equals(coerce(tuple(number, boolean), ['1', 'true']), { value: [1, true], errors: null });
+	equals(coerce(map(/^\w+$/, integer), { a: '1' }), { value: { a: 1 }, errors: null });
+	equals(coerce(partial_object({ a: integer }), { a: '1', b: '2' }), { value: { a: 1, b: '2' }, errors: null });
+
+	// Only what JSON would accept
+	for (let value of ['', ' 1', '0x10', 'Infinity', 'NaN', '1.', '.5', '01'])
+		equals(coerce(number, value).errors !== null, true);
+	equals(coerce(integer, '1.5', { messages: (code) => code }), { value: '1.5', errors: { '': 'expected_type' } });
+	equals(coerce(boolean, 'yes').errors !== null, true);
+	// Values failing a RegExp stay in the output
+	equals(coerce({ a: /x/ }, { a: 5 }, { messages: (code) => code }), { value: { a: 5 }, errors: { '.a': 'expected_type' } });
+	equals(parse({ a: /x/, b: integer }, { a: 5, b: 1 }, { messages: (code) => code }), { value: { a: 5, b: 1 }, errors: { '.a': 'expected_type' } });
+	// validateJSON() does not convert
+	fail(integer, '42');
+	fail([string], 'a');
+
+	let schema = object({
+		page: with_default(integer, 1),
+		tags: [string],
+	}, {
+		sort: with_default(or('asc', 'desc'), 'asc'),
+		filter: with_default({ active: boolean }, { active: true }),
+		limit: integer,
+	});
+	let value = Object.freeze({ page: '3', tags: 'x' });
+	equals(coerce(schema, value), { value: { page: 3, tags: ['x'], sort: 'asc', filter: { active: true } }, errors: null });
+	equals(value, { page: '3', tags: 'x' });
+	// Every value gets its own copy of a default
+	let first = coerce(schema, { page: '1', tags: [] }).value;
+	first.filter.active = false;
+	equals(coerce(schema, { page: '1', tags: [] }).value.filter, { active: true });
+	equals(coerce(schema, { page: 'x', tags: [], limit: '10', sort: 'up' }, { messages: (code) => code }), {
+		value: { page: 'x', tags: [], limit: 10, sort: 'up', filter: { active: true } },
+		errors: { '.page': 'expected_type', '.sort': 'no_variant_matched' },
+	});
+	// Defaults do not count towards the optional properties
+	equals(coerce(object({}, { a: with_default(integer, 0), b: integer }, 1), {}).errors !== null, true);
+	equals(coerce(plain_object({}, { a: with_default(integer, 0) }), {}).value, { a: 0 });
+	// Only for coerce()
+	match(schema, { page: 1, tags: [] });
+	match(with_default(integer, 1), 5);
+	fail(with_default(integer, 1), 'x');
+	throws(() => with_default(integer, 'x'), null);
+	equals(coerce({ x: integer }, JSON.parse('{"x":"1"}')).value, { x: 1 });
+	let proto = coerce(map(string, integer), JSON.parse('{"__proto__":"1"}')).value;
+	equals(Object.getPrototypeOf(proto) === Object.prototype && proto.hasOwnProperty('__proto__'), true);
+
+	let list = coerce({ a: integer }, { a: 'b' }, { errorFormat: 'list' });
+	equals(list.errors.map(({ path, code }) => ({ path, code })), [{ path: ['a'], code: 'expected_type' }]);
+
+	equals(toJSONSchema(object({}, { a: with_default(integer, 1) })).properties.a, { type: 'integer', default: 1 });
+	let imported = fromJSONSchema({ type: 'object', properties: { a: { type: 'integer', default: 1 } }, additionalProperties: false });
+	equals(coerce(imported, {}).value, { a: 1 });
+	throws(() => fromJSONSchema({ properties: { a: { type: 'integer', default: 'x' } }, additionalProperties: false }), null);
+}
+
+// Unknown properties
+{
+	let messages = (code) => code;
+	let schema = {
+		name: string,
+		tags: [object({ id: integer }, { label: string })],
+		pair: tuple({ x: number }, map(/^[a-z]+$/, boolean)),
+	};
+	let value = {
+		name: 'a',
+		extra: 1,
+		tags: [{ id: 1, color: 'red' }, { id: 'x', label: 'l', size: 2 }],
+		pair: [{ x: 1, y: 2 }, { ok: true, NOT: false }],
+	};
+	let copy = JSON.parse(JSON.stringify(value));
+
+	equals(validateJSON(schema, value, { messages }), { '': 'unexpected_property' });
+	equals(validateJSON(schema, value, { messages, unknown: 'fail' }), { '': 'unexpected_property' });
+	equals(validateJSON(schema, value, { messages, unknown: 'report-all' }), {
+		'.extra': 'unexpected_property',
+		'.tags[0].color': 'unexpected_property',
+		'.tags[1].size': 'unexpected_property',
+		'.tags[1].id': 'expected_type',
+		'.pair[0].y': 'unexpected_property',
+		'.pair[1].NOT': 'unexpected_property',
+	});
+	equals(validateJSON(schema, value, { messages, unknown: 'strip' }), { '.tags[1].id': 'expected_type' });
+	equals(compile(schema, { messages, unknown: 'strip' })(value), { '.tags[1].id': 'expected_type' });
+
+	value.tags[1].id = 2;
+	copy.tags[1].id = 2;
+	equals(parse(schema, value, { unknown: 'strip' }), {
+		value: {
+			name: 'a',
+			tags: [{ id: 1 }, { id: 2, label: 'l' }],
+			pair: [{ x: 1 }, { ok: true }],
+		},
+		errors: null,
+	});
+	equals(value, copy);
+	// Without stripping, parse() returns an identical copy
+	equals(parse(schema, value, { unknown: 'report-all' }).value, value);
+	equals(parse(schema, value, { unknown: 'report-all', errorFormat: 'list' }).errors.map(({ path, value }) => ({ path, value })), [
+		{ path: ['extra'], value: 1 },
+		{ path: ['tags', 0, 'color'], value: 'red' },
+		{ path: ['tags', 1, 'size'], value: 2 },
+		{ path: ['pair', 0, 'y'], value: 2 },
+		{ path: ['pair', 1, 'NOT'], value: false },
+	]);
+	equals(parse(integer, '1').errors !== null, true);
+	equals(parse({ a: integer }, { a: 1 }).value !== value, true);
+	equals(coerce(plain_object({ a: integer }, {}), { a: '1', b: 2 }, { unknown: 'strip' }), { value: { a: 1 }, errors: null });
+	// partial_object accepts all properties anyway
+	equals(parse(partial_object({ a: integer }), { a: 1, b: 2 }, { unknown: 'strip' }).value, { a: 1, b: 2 });
+	// Unknown modes are treated as 'fail'
+	equals(validateJSON({}, { a: 1 }, { messages, unknown: 'ignore' }), { '': 'unexpected_property' });
+}
+
+// Recursive schemata
+{
+	let comment = lazy(() => object({ text: string }, { replies: [comment] }));
+	match(comment, { text: 'a' });
+	match(comment, { text: 'a', replies: [{ text: 'b', replies: [{ text: 'c' }] }, { text: 'd', replies: [] }] });
+	fail(comment, { text: 'a', replies: [{ text: 'b', replies: [{ text: 3 }] }] }, ['.replies[0].replies[0].text']);
+	fail(comment, { text: 'a', replies: [{ replies: [] }] }, ['.replies[0].text']);
+	fail([comment], [{ text: 'a', replies: {} }], ['[0].replies']);
+
+	// Mutually recursive
+	let menu = lazy(() => ({ title: string, items: [item] }));
+	let item = lazy(() => or(string, menu));
+	match(menu, { title: 'File', items: ['Open', { title: 'Recent', items: ['a.json'] }] });
+	fail(menu, { title: 'File', items: ['Open', { title: 'Recent', items: [1] }] }, ['.items[1]']);
+
+	// Cycles in the schema itself
+	let cyclic = { a: integer };
+	cyclic.self = cyclic;
+	throws(cyclic, { a: 1 });
+	raises(() => compile(cyclic));
+	let cyclic_array = [];
+	cyclic_array.push(cyclic_array);
+	raises(() => compile(cyclic_array));
+	raises(() => toJSONSchema({ x: cyclic }));
+	let self = lazy(() => self);
+	let other = lazy(() => self);
+	throws(other, 1);
+	throws(() => lazy({}), null);
+	// The same schema twice is no cycle
+	let point = { x: number, y: number };
+	match({ from: point, to: point, path: [point] }, { from: { x: 0, y: 0 }, to: { x: 1, y: 1 }, path: [] });
+
+	// Maximum depth
+	let list = lazy(() => or(null, { next: list }));
+	let deep = null;
+	for (let i = 0; i < 100000; i++)
+		deep = { next: deep };
+	let shallow = { next: { next: { next: null } } };
+	fail(list, deep);
+	equals(validateJSON(list, shallow, { maxDepth: 4 }), true);
+	equals(validateJSON(list, shallow, { maxDepth: 3, messages: (code) => code }), { '': 'no_variant_matched' });
+	equals(validateJSON(list, shallow, { maxDepth: 3, errorFormat: 'list' }).map(({ code }) => code), ['no_variant_matched']);
+	equals(validateJSON({ next: list }, { next: null }, { maxDepth: 0, messages: (code) => code }), { '.next': 'max_depth' });
+	equals(parse(list, shallow).value, shallow);
+	// Left recursion never reaches a value, but stops anyway
+	let endless = lazy(() => and(endless, integer));
+	fail(endless, 1);
+
+	equals(toJSONSchema(comment), {
+		$schema: 'https://json-schema.org/draft/2020-12/schema',
+		$ref: '#/$defs/lazy1',
+		$defs: {
+			lazy1: {
+				type: 'object',
+				properties: { text: { type: 'string' }, replies: { type: 'array', items: { $ref: '#/$defs/lazy1' } } },
+				required: ['text'],
+				additionalProperties: false,
+			},
+		},
+	});
+	let tree = fromJSONSchema(toJSONSchema(comment));
+	match(tree, { text: 'a', replies: [{ text: 'b' }] });
+	fail(tree, { text: 'a', replies: [{ text: 'b', replies: [{}] }] });
+}
+
+// Discriminated unions
+{
+	let messages = (code) => code;
+	let event = union('type', {
+		click: { type: 'click', x: integer, y: integer },
+		key: object({ type: 'key', key: string }, { shift: boolean }),
+		'with space': { type: string },
+	});
+	match(event, { type: 'click', x: 1, y: 2 });
+	match(event, { type: 'key', key: 'a', shift: true });
+	match(event, { type: 'with space' });
+	fail(event, { type: 'click', x: 1, y: 'b' }, ['.y']);
+	fail(event, { type: 'key', key: 1, shift: 1 }, ['.key', '.shift']);
+	fail(event, { type: 'scroll' }, ['.type']);
+	fail(event, { type: 1 }, ['.type']);
+	fail(event, { type: 'toString' }, ['.type']);
+	fail(event, { x: 1 }, ['.type']);
+	fail(event, [], ['']);
+	fail(event, null, ['']);
+	fail([event], [{ type: 'click', x: 1, y: 2 }, { type: 'key' }], ['[1].key']);
+	equals(validateJSON(event, { type: 'scroll' }, { messages }), { '.type': 'unknown_tag' });
+	equals(validateJSON(event, { x: 1 }, { messages }), { '.type': 'missing_property' });
+	let [error] = validateJSON(event, { type: 'scroll' }, { errorFormat: 'list' });
+	equals(error.params, { property: 'type', expected: ['click', 'key', 'with space'] });
+	equals(error.value, 'scroll');
+	equals(englishMessages.unknown_tag(error.params), 'Expected type to be one of: click, key, with space');
+	equals(coerce(event, { type: 'click', x: '1', y: '2' }).value, { type: 'click', x: 1, y: 2 });
+
+	throws(() => union('type', {}), null);
+	throws(() => union(1, { a: 'a' }), null);
+	throws(() => union('type', { a: /a/, b: [] }), null);
+
+	let converted = fromJSONSchema(toJSONSchema(event));
+	match(converted, { type: 'click', x: 1, y: 2 });
+	fail(converted, { type: 'click', key: 'a' });
+	fail(converted, { type: 'scroll' });
+}
+
+// Errors of or() variants
+{
+	let messages = (code) => code;
+	let schema = {
+		contact: or(null, { email: /@/, name: string }, [{ phone: /^\d+$/ }]),
+	};
+	let value = { contact: { email: 'a@b', name: 1 } };
+	equals(validateJSON(schema, value, { messages }), { '.contact': 'no_variant_matched' });
+	equals(validateJSON(schema, value, { messages, orErrors: 'none' }), { '.contact': 'no_variant_matched' });
+	equals(validateJSON(schema, value, { messages, orErrors: 'best' }), { '.contact.name': 'expected_type' });
+	equals(compile(schema, { messages, orErrors: 'best' })({ contact: [{ phone: '1' }, { phone: 'x' }] }), { '.contact[1].phone': 'regexp_mismatch' });
+	// The deepest error wins over the number of errors
+	equals(validateJSON(or({ a: { b: integer } }, { a: string, c: string }), { a: { b: 'x' } }, { messages, orErrors: 'best' }), { '.a.b': 'expected_type' });
+	// With equal depth, the fewest errors win
+	equals(validateJSON(or({ a: string, b: string }, { a: integer, b: string }), { a: 1, b: 2 }, { messages, orErrors: 'best' }), { '.b': 'expected_type' });
+	// Nothing got past the value itself
+	equals(validateJSON(schema, { contact: 'x' }, { messages, orErrors: 'best' }), { '.contact': 'no_variant_matched' });
+	// Errors from custom functions count with their own paths
+	equals(validateJSON(or(null, () => ({ '.a.b': 'custom' })), {}, { messages, orErrors: 'best' }), { '.a.b': 'custom' });
+
+	let [error] = validateJSON(schema, value, { messages, orErrors: 'all', errorFormat: 'list' });
+	equals(error.path, ['contact']);
+	equals(error.params, { variants: [{ '': 'literal_mismatch' }, { '.name': 'expected_type' }, { '': 'expected_type' }] });
+	// Message formatters can use them as well
+	let summary = (code, { variants }) => variants ? variants.map((errors) => Object.keys(errors).join(' ')).join('|') : code;
+	equals(validateJSON(schema, value, { messages: summary, orErrors: 'all' }), { '.contact': '|.name|' });
+	// In an ErrorMap, the English message lists the errors of each variant
+	let english = messageFormatter(englishMessages);
+	equals(validateJSON(schema, value, { messages: english, orErrors: 'all' }), { '.contact': 'or: value does not match any variant (1: Expected null; 2: .name: Expected string; 3: Expected array)' });
+	equals(validateJSON(schema, value, { messages: english }), { '.contact': 'or: value does not match any variant' });
+	// Without messages, only the paths are left
+	equals(englishMessages.no_variant_matched({ variants: [{ '': '' }, { '.name': '', '.email': '' }] }), 'or: value does not match any variant (1: (root); 2: .name, .email)');
+	// Matching still picks the first variant
+	equals(coerce(or(integer, string), '1', { orErrors: 'best' }).value, 1);
+}
+
+// Asynchronous validation
+{
+	let messages = (code) => code;
+	let delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+	let taken = new Set(['admin']);
+	let username = and(/^[a-z]+$/, async (name) => !taken.has(name) || 'taken');
+	equals(await validateAsync({ name: username }, { name: 'bob' }), true);
+	equals(await validateAsync({ name: username }, { name: 'admin' }), { '.name': 'taken' });
+	equals(await validateAsync({ name: username }, { name: 'Admin' }, { messages }), { '.name': 'regexp_mismatch' });
+	equals(await validateAsync([username], ['bob', 'admin', 'eve', 'admin']), { '[1]': 'taken', '[3]': 'taken' });
+	equals(await validateAsync(username, 'admin', { errorFormat: 'list' }).then((errors) => errors.map(({ path, code, value }) => ({ path, code, value }))), [
+		{ path: [], code: 'custom', value: 'admin' },
+	]);
+	let errors = {};
+	equals(await validateAsync(username, 'admin', { errors }), false);
+	equals(errors, { '': 'taken' });
+	// Without promises, the results are the same as validateJSON()
+	let schema = { a: [integer], b: or(null, string), c: tuple(boolean), d: map(/^x/, number) };
+	let value = { a: [1, 'x'], b: 2, c: [true], d: { xa: 1, y: 2 } };
+	equals(await validateAsync(schema, value, { messages }), validateJSON(schema, value, { messages }));
+
+	// and() waits for each schema, and stops at the first failure
+	let calls = [];
+	let record = (name, result = true) => async () => {
+		await delay(1);
+		calls.push(name);
+		return result;
+	};
+	equals(await validateAsync(and(record('a'), () => (calls.push('b'), true), record('c', 'fails'), record('d')), 1), { '': 'fails' });
+	equals(calls, ['a', 'b', 'c']);
+	// or() stops at the first match
+	calls = [];
+	equals(await validateAsync(or(record('a', false), record('b'), record('c')), 1), true);
+	equals(calls, ['a', 'b']);
+	calls = [];
+	equals(await validateAsync(or(record('a', 'no a'), record('b', { '.x': 'no b' })), {}, { messages, orErrors: 'all' }), { '': 'no_variant_matched' });
+	equals(await validateAsync(or(record('a', 'no a'), record('b', { '.x': 'no b' })), {}, { orErrors: 'best' }), { '.x': 'no b' });
+	equals(await validateAsync(or(null, record('a', false)), 1, { messages }), { '': 'no_variant_matched' });
+	// Keys of maps
+	let key = async (key) => key !== 'bad';
+	equals(await validateAsync(map(key, integer), { good: 1, bad: 2 }, { messages }), { '': 'unexpected_property' });
+	equals(await validateAsync(map(key, integer), { good: 'x', bad: 2 }, { messages, unknown: 'report-all' }), { '.bad': 'unexpected_property', '.good': 'expected_type' });
+	equals(await validateAsync(map(key, integer), { good: 1 }), true);
+	// Recursive schemata
+	let tree = lazy(() => ({ id: async (id) => integer(id), children: [tree] }));
+	equals(await validateAsync(tree, { id: 1, children: [{ id: 2, children: [] }, { id: 'x', children: [] }] }, { messages }), { '.children[1].id': 'invalid' });
+
+	// Elements are validated concurrently, up to options.concurrency
+	let active = 0, max_active = 0;
+	let slow = async (v) => {
+		active++;
+		max_active = Math.max(max_active, active);
+		await delay(2);
+		active--;
+		return integer(v);
+	};
+	equals(await validateAsync([slow], [1, 2, 3, 4, 5, 6], { concurrency: 2 }), true);
+	equals(max_active, 2);
+	max_active = 0;
+	equals(await validateAsync([slow], [1, 2, 3, 4, 5, 6], { messages }), true);
+	equals(max_active, 6);
+	max_active = 0;
+	equals(await validateAsync(and_all(slow, slow, (v) => v > 1), 1, { messages }), { '': 'invalid' });
+	equals(max_active, 2);
+	max_active = 0;
+	equals(await validateAsync(tuple(slow, slow, slow), [1, 'x', 'y'], { messages, concurrency: 1 }), { '[1]': 'invalid', '[2]': 'invalid' });
+	equals(max_active, 1);
+	equals(await validateAsync(map(string, slow), { a: 1, b: 'x' }, { messages, concurrency: 1 }), { '.b': 'invalid' });
+
+	// Errors
+	await rejects(validateAsync(async () => { throw new Error('fails'); }, 1));
+	await rejects(validateAsync([async () => 42], [1]));
+	await rejects(validateAsync({ a: 1 }, 1, { concurrency: 0 }));
+	await rejects(validateAsync([], []));
+	raises(() => validateJSON(async () => true, 1));
+	raises(() => compile(async () => true)(1));
+
+	// Cancellation
+	let controller = new AbortController();
+	calls = [];
+	let promise = validateAsync([record('x')], [1, 2, 3], { signal: controller.signal, concurrency: 1 });
+	controller.abort();
+	await rejects(promise);
+	await delay(10);
+	equals(calls.length <= 1, true);
+	await rejects(validateAsync(integer, 1, { signal: controller.signal }));
+}
+
+// Constraints
+{
+	let messages = messageFormatter(englishMessages);
+	let age = and(integer, range(0, 150, { exclusive: 'max' }));
+	match(age, 0);
+	match(age, 149);
+	fail(age, 150);
+	fail(age, -1);
+	fail(age, 1.5);
+	fail(age, '1');
+	match(range(0, 1), 0.5);
+	match(range(0, 1), 1);
+	fail(range(0, 1, { exclusive: true }), 0);
+	fail(range(0, 1, { exclusive: true }), 1);
+	match(range(0, 1, { exclusive: 'min' }), 1);
+	fail(range(0, 1, { exclusive: 'min' }), 0);
+	match(range(-Infinity, 0), -1e300);
+	fail(range(0, Infinity), Infinity);
+	fail(range(0, Infinity), NaN);
+	equals(validateJSON(age, 150, { messages }), { '': 'Expected a number >= 0 and < 150' });
+	equals(validateJSON(range(0, Infinity, { exclusive: true }), 0, { messages }), { '': 'Expected a number > 0' });
+	equals(validateJSON(range(0, 1), 'a', { messages }), { '': 'Expected number' });
+	equals(validateJSON(range(1, 2), 3, { errorFormat: 'list' })[0].params, { min: 1, max: 2, exclusive: false });
+	throws(() => range(1, 0), null);
+	throws(() => range(0, '1'), null);
+	throws(() => range(0, NaN), null);
+	throws(() => range(0, 1, { exclusive: 'both' }), null);
+
+	match(multiple_of(5), 10);
+	match(multiple_of(5), -5);
+	match(multiple_of(5), 0);
+	fail(multiple_of(5), 7);
+	match(multiple_of(0.1), 0.3);
+	match(multiple_of(0.01), 19.99);
+	fail(multiple_of(0.1), 0.35);
+	fail(multiple_of(2), '4');
+	equals(validateJSON(multiple_of(0.5), 0.7, { messages }), { '': 'Expected a multiple of 0.5' });
+	throws(() => multiple_of(0), null);
+	equals(coerce({ a: range(1, 10), b: multiple_of(2) }, { a: '5', b: '4' }), { value: { a: 5, b: 4 }, errors: null });
+
+	match(length(1, 3), 'abc');
+	fail(length(1, 3), 'abcd');
+	fail(length(1, 3), '');
+	match(length(2), 'ab'.repeat(100));
+	// Code points, not UTF-16 code units
+	match(length(1, 1), '😀');
+	fail(length(2, 2), '😀');
+	match(length(3, 3), 'a😀b');
+	fail(length(0, 2), 'a😀b');
+	fail(length(0), 1);
+	equals(validateJSON(length(2, 3), 'a', { messages }), { '': 'Expected at least 2 characters' });
+	equals(validateJSON(length(2, 3), '😀😀😀😀', { errorFormat: 'list' })[0].params, { length: 4, min: 2, max: 3 });
+	throws(() => length(2, 1), null);
+	throws(() => length(-1), null);
+
+	match(non_empty, 'a');
+	match(non_empty, [0]);
+	match(non_empty, { a: undefined });
+	fail(non_empty, '');
+	fail(non_empty, []);
+	fail(non_empty, {});
+	fail(non_empty, 0);
+	fail(non_empty, null);
+	equals(validateJSON({ name: non_empty }, { name: '' }, { messages }), { '.name': 'Must not be empty' });
+	// Provided combinators called directly return true or an error map, like validateJSON
+	equals(non_empty('a'), true);
+	equals(and(integer, (v) => v > 0)(1), true);
+	equals(or(null, string)('a'), true);
+	equals(Object.keys(or(null, string)(1)), ['']);
+	equals(Object.keys(object({ a: integer }, {})({ a: 'x' })), ['.a']);
+
+	let color = one_of('red', 'green', null, 1);
+	match(color, 'red');
+	match(color, null);
+	match(color, 1);
+	fail(color, 'blue');
+	fail(color, '1');
+	fail(color, {});
+	equals(validateJSON(color, 'blue', { messages }), { '': 'Expected one of "red", "green", null, 1' });
+	throws(() => one_of(), null);
+	throws(() => one_of({}), null);
+
+	match(unique(), [1, 2, '1', [1], { a: 1 }, { a: 2 }]);
+	match(unique(), []);
+	fail(unique(), [1, 2, 1], ['[2]']);
+	fail(unique(), [{ a: 1, b: [1, { c: 2 }] }, { b: [1, { c: 2 }], a: 1 }], ['[1]']);
+	fail(unique(), [[1, 2], [1, 2], [2, 1], [1, 2]], ['[1]', '[3]']);
+	fail(unique(), { a: 1 }, ['']);
+	let by_id = unique((a, b) => a.id === b.id);
+	match([{ id: 1 }], [{ id: 1 }]);
+	match(and([{ id: integer }], by_id), [{ id: 1 }, { id: 2 }]);
+	fail(and([{ id: integer, name: string }], by_id), [{ id: 1, name: 'a' }, { id: 2, name: 'b' }, { id: 1, name: 'c' }], ['[2]']);
+	equals(validateJSON(unique(), ['a', 'b', 'a'], { messages }), { '[2]': 'Duplicate of item 0' });
+	throws(() => unique(1), null);
+
+	let schema = {
+		age: range(0, 150, { exclusive: 'max' }),
+		step: multiple_of(0.5),
+		name: length(1, 20),
+		tags: and(non_empty, unique()),
+		color: one_of('red', 'green'),
+	};
+	equals(toJSONSchema(schema).properties, {
+		age: { type: 'number', minimum: 0, exclusiveMaximum: 150 },
+		step: { type: 'number', multipleOf: 0.5 },
+		name: { type: 'string', minLength: 1, maxLength: 20 },
+		tags: { allOf: [{ anyOf: [{ type: 'string', minLength: 1 }, { type: 'array', minItems: 1 }, { type: 'object', minProperties: 1 }] }, { type: 'array', uniqueItems: true }] },
+		color: { enum: ['red', 'green'] },
+	});
+	raises(() => toJSONSchema(by_id));
+	let imported = fromJSONSchema({
+		type: 'object',
+		properties: {
+			age: { type: 'integer', minimum: 0, exclusiveMaximum: 150 },
+			step: { type: 'number', multipleOf: 0.5, exclusiveMinimum: 0 },
+			name: { type: 'string', minLength: 1, maxLength: 3 },
+			tags: { type: 'array', uniqueItems: true },
+			any: { minLength: 2 },
+		},
+		additionalProperties: false,
+	});
+	match(imported, { age: 149, step: 1.5, name: 'abc', tags: [1, 2], any: 5 });
+	fail(imported, { age: 1.5 }, ['.age']);
+	fail(imported, { age: 150 }, ['.age']);
+	fail(imported, { step: 0 }, ['.step']);
+	fail(imported, { step: 0.7 }, ['.step']);
+	fail(imported, { name: '' }, ['.name']);
+	fail(imported, { name: 'abcd' }, ['.name']);
+	fail(imported, { tags: [1, 1] }, ['.tags[1]']);
+	fail(imported, { any: 'a' }, ['.any']);
+	fail(fromJSONSchema({ type: 'string', minLength: 2, maxLength: 1 }), 'a');
+	raises(() => fromJSONSchema({ multipleOf: 0 }));
+	raises(() => fromJSONSchema({ uniqueItems: 1 }));
+}
+
+// String formats
+{
+	let valid = {
+		email: ['a@example.com', 'first.last+tag@sub.example.co', "o'hara@x.y", 'a@localhost'],
+		hostname: ['example.com', 'a-b.c', 'localhost', 'xn--bcher-kva.example', '1.2.3.4'],
+		ipv4: ['0.0.0.0', '192.168.0.1', '255.255.255.255'],
+		ipv6: ['::', '::1', '2001:db8::1', '2001:0db8:0000:0000:0000:ff00:0042:8329', 'fe80::', '::ffff:192.168.0.1', '1:2:3:4:5:6:7::', '1:2:3:4:5:6:1.2.3.4'],
+		uri: ['https://example.com/', 'mailto:a@b.c', 'urn:isbn:0451450523', 'http://[::1]:80/a?b=c#d', 'x:%20'],
+		uuid: ['123e4567-e89b-12d3-a456-426614174000', '00000000-0000-0000-0000-000000000000', 'A987FBC9-4BED-3078-CF07-9141BA07C9F3'],
+		date: ['2021-12-31', '2020-02-29', '2000-02-29', '0001-01-01'],
+		time: ['23:59:59Z', '00:00:00+01:00', '12:00:00.123-05:30', '23:59:60Z', '22:59:60-01:00', '08:30:00z'],
+		'date-time': ['2021-12-31T23:59:59Z', '2020-02-29t12:00:00+14:00', '1990-12-31T15:59:60-08:00'],
+		base64: ['', 'YQ==', 'YWI=', 'YWJj', 'YWJjZA=='],
+		semver: ['0.0.0', '1.2.3', '1.0.0-alpha.1', '1.0.0-0.3.7', '1.0.0+20130313144700', '1.0.0-beta+exp.sha.5114f85'],
+	};
+	let invalid = {
+		email: ['', 'a', 'a@', '@b.c', 'a..b@c.d', '.a@b.c', 'a@b..c', 'a@-b.c', 'a b@c.d', 'x'.repeat(65) + '@b.c', 1],
+		hostname: ['', '-a.com', 'a-.com', 'a..b', 'a_b.com', 'a.com.', 'x'.repeat(64) + '.com', 'a.'.repeat(127) + 'a', null],
+		ipv4: ['1.2.3', '1.2.3.4.5', '256.0.0.1', '01.2.3.4', '1.2.3.-4', ' 1.2.3.4', '1.2.3.4\n'],
+		ipv6: ['', ':', ':::', '1::2::3', '12345::', '1:2:3:4:5:6:7:8:9', '1:2:3:4:5:6:7', 'g::', '1:2:3:4:5:6:7:1.2.3.4', '::1.2.3', '1.2.3.4::', 'fe80::1%eth0'],
+		uri: ['', 'example.com', '/relative', 'http://a b', 'http://a/%zz', 'http://a/<b>', '1http://a'],
+		uuid: ['', '123e4567e89b12d3a456426614174000', '123e4567-e89b-12d3-a456-42661417400', '{123e4567-e89b-12d3-a456-426614174000}', 'g23e4567-e89b-12d3-a456-426614174000'],
+		date: ['', '2021-1-1', '2021-13-01', '2021-00-10', '2021-02-29', '1900-02-29', '2021-04-31', '2021-01-32', '2021-01-00', '20211231', '2021-12-31T00:00:00Z'],
+		time: ['', '23:59:59', '24:00:00Z', '23:60:00Z', '23:59:61Z', '12:00:60Z', '23:59:60+01:00', '12:00:00+24:00', '12:00:00+01:60', '12:00Z', '1:00:00Z', '12:00:00.Z'],
+		'date-time': ['', '2021-12-31', '2021-12-31 23:59:59Z', '2021-02-29T12:00:00Z', '2021-12-31T25:00:00Z', '2021-12-31T23:59:59'],
+		base64: ['a', 'YQ=', 'YQ===', 'Y=Q=', 'YW-j', 'YW_j', 'YWJj\n'],
+		semver: ['', '1', '1.2', '01.2.3', '1.02.3', 'v1.2.3', '1.2.3-', '1.2.3-01', '1.2.3+', '1.2.3-a..b'],
+	};
+	for (let name in valid) {
+		for (let value of valid[name])
+			match(formats[name], value);
+		for (let value of invalid[name])
+			fail(formats[name], value);
+		equals(format(name) === formats[name], true);
+		equals(toJSONSchema(formats[name]), { $schema: 'https://json-schema.org/draft/2020-12/schema', type: 'string', format: name });
+	}
+
+	// Descriptive messages, also in production
+	equals(formats.date('2021-02-29'), 'Day must be between 01 and 28');
+	equals(formats.date('2021-13-01'), 'Month must be between 01 and 12');
+	equals(formats['date-time']('2021-12-31T23:59:60+01:00'), 'Leap seconds can only occur at 23:59:60 UTC');
+	equals(formats.email(42), 'Expected a string');
+	equals(validateJSON({ born: formats.date }, { born: '2021-04-31' }), { '.born': 'Day must be between 01 and 30' });
+	// In a schema, they have a code and parameters like the other errors, so they can be translated
+	equals(validateJSON({ born: formats.date }, { born: '2021-04-31' }, { errorFormat: 'list' }).map(({ code, params, message }) => [code, params, message]), [['format', { format: 'date', reason: 'Day must be between 01 and 30' }, 'Day must be between 01 and 30']]);
+	equals(validateJSON({ mail: formats.email }, { mail: 'x' }, { messages: messageFormatter({ format: 'Ungültiges Format: {format}' }) }), { '.mail': 'Ungültiges Format: email' });
+	equals(validateJSON({ mail: formats.email }, { mail: 'x' }, { messages: messageFormatter(englishMessages) }), { '.mail': 'Expected an email address like name@example.com' });
+
+	let sku = (v) => string(v) && /^[A-Z]{3}-\d{4}$/.test(v) || 'Expected an SKU like ABC-1234';
+	let sku_name = 'test-sku';
+	registerFormat(sku_name, sku);
+	equals(format(sku_name) === sku, true);
+	match({ sku: format(sku_name) }, { sku: 'ABC-1234' });
+	fail({ sku: format(sku_name) }, { sku: 'abc' });
+	equals(validateJSON(format(sku_name), 'abc', { errorFormat: 'list' })[0].params, { format: sku_name, reason: 'Expected an SKU like ABC-1234' });
+	equals(toJSONSchema(format(sku_name)), { $schema: 'https://json-schema.org/draft/2020-12/schema', format: sku_name });
+	raises(() => registerFormat(sku_name, sku));
+	raises(() => registerFormat('email', sku));
+	raises(() => registerFormat('test-regexp', /a/));
+	raises(() => format('no-such-format'));
+	raises(() => { formats.email = sku; });
+}
+
+// Describing and walking schemata
+{
+	equals(describe(string), { kind: 'type', type: 'string' });
+	equals(describe(object), { kind: 'type', type: 'object' });
+	equals(describe(formats.email), { kind: 'format', name: 'email' });
+	equals(describe('red'), { kind: 'literal', value: 'red' });
+	equals(describe(null), { kind: 'literal', value: null });
+	equals(describe(/^a/i).pattern.flags, 'i');
+	let custom = (v) => v > 0;
+	equals(describe(custom).kind, 'custom');
+	equals(describe(custom).validator === custom, true);
+	equals(describe([number, 1]), { kind: 'array_by_example', min: 1, max: Number.MAX_SAFE_INTEGER });
+	equals(describe([number]).items === number, true);
+	equals(describe({ a: 1 }), { kind: 'object_by_example', properties: { a: 1 } });
+	equals(describe(object({ a: 1 }, { b: 2 }, 1)), { kind: 'object', required: { a: 1 }, optional: { b: 2 }, min: 1, max: Number.MAX_SAFE_INTEGER });
+	equals(describe(map(/^[a-z]+$/, 1, 0, 5)).max, 5);
+	equals(describe(or('a', 'b')), { kind: 'or', schemata: ['a', 'b'] });
+	equals(describe(range(0, 10, { exclusive: 'max' })), { kind: 'range', min: 0, max: 10, exclusive: 'max' });
+	equals(describe(length(1, 3)), { kind: 'length', min: 1, max: 3 });
+	equals(describe(one_of(1, 2)), { kind: 'one_of', values: [1, 2] });
+	equals(describe(with_default(number, 5)), { kind: 'default', default: 5 });
+	equals(describe(union('type', { a: {} })), { kind: 'union', tag: 'type', variants: { a: {} } });
+	raises(() => describe(undefined));
+	raises(() => describe([number, -1]));
+
+	// Changing a description does not change the schema
+	let colors = or('red', 'green');
+	describe(colors).schemata.push('blue');
+	fail(colors, 'blue');
+
+	let visited = [];
+	let person = object({ name: string, tags: [or(string, null)] }, { address: partial_object({ city: string }) });
+	walkSchema(person, (schema, description, path) => {
+		visited.push(`${path.join('/')}:${description.kind}`);
+	});
+	equals(visited, [
+		':object',
+		'required/name:type',
+		'required/tags:array_by_example',
+		'required/tags/items:or',
+		'required/tags/items/schemata/0:type',
+		'required/tags/items/schemata/1:literal',
+		'optional/address:partial_object',
+		'optional/address/properties/city:type',
+	]);
+
+	// Returning false skips the children
+	visited = [];
+	walkSchema(person, (schema, description, path) => {
+		visited.push(path.join('/'));
+		return description.kind !== 'array_by_example';
+	});
+	equals(visited.length, 5);
+
+	// Each lazy() schema is followed once
+	let tree = lazy(() => object({ value: number, children: [tree] }, {}));
+	visited = [];
+	walkSchema(tree, (schema, description, path) => {
+		visited.push(`${path.join('/')}:${description.kind}`);
+	});
+	equals(visited, [
+		':lazy',
+		'schema:object',
+		'schema/required/value:type',
+		'schema/required/children:array_by_example',
+		'schema/required/children/items:lazy',
+	]);
+
+	raises(() => walkSchema({ a: undefined }, () => {}));
+	raises(() => walkSchema(lazy(() => [number, -1]), () => {}));
+}
+
+// Composing object schemata
+{
+	let user = { name: string, email: formats.email, age: integer };
+	let create = omit(user, ['age']);
+	match(create, { name: 'Ann', email: 'ann@example.com' });
+	fail(create, { name: 'Ann', email: 'ann@example.com', age: 3 }, ['']);
+	let update = partial(user);
+	match(update, {});
+	match(update, { age: 3 });
+	fail(update, { age: 'old' }, ['.age']);
+	let full = required(update);
+	match(full, { name: 'Ann', email: 'ann@example.com', age: 3 });
+	fail(full, { name: 'Ann', email: 'ann@example.com' }, ['.age']);
+	let contact = pick(user, ['email']);
+	match(contact, { email: 'ann@example.com' });
+	fail(contact, { name: 'Ann', email: 'ann@example.com' }, ['']);
+
+	// extend() replaces properties, and a replaced property can go from optional to required
+	let admin = extend(object({ name: string }, { role: 'user', note: string }), { role: 'admin' });
+	match(admin, { name: 'Ann', role: 'admin' });
+	fail(admin, { name: 'Ann' }, ['.role']);
+	fail(admin, { name: 'Ann', role: 'user' }, ['.role']);
+	equals(Object.keys(describe(admin).required), ['name', 'role']);
+	equals(Object.keys(describe(admin).optional), ['note']);
+	equals(describe(extend(plain_object({ a: 1 }, {}), { b: 2 })).kind, 'plain_object');
+
+	// merge() refuses conflicting properties
+	let named = { name: string };
+	let merged = merge(named, object({ name: string }, { age: integer }));
+	match(merged, { name: 'Ann' });
+	match(merged, { name: 'Ann', age: 3 });
+	raises(() => merge({ name: string }, { name: number }));
+	raises(() => merge({ name: string }, object({}, { name: string })));
+	// Schemata by example are compared by their contents
+	merged = merge({ address: { city: string }, tags: [string, 1], code: /^[a-z]$/i }, { address: { city: string }, tags: [string, 1], code: /^[a-z]$/i, age: integer });
+	match(merged, { address: { city: 'X' }, tags: ['a'], code: 'A', age: 1 });
+	fail(merged, { address: { city: 1 }, tags: [], code: 'A', age: 1 }, ['.address.city', '.tags']);
+	match(merge({ a: { b: [{ c: 1 }] } }, { a: { b: [{ c: 1 }] } }), { a: { b: [{ c: 1 }] } });
+	raises(() => merge({ address: { city: string } }, { address: { city: string, zip: string } }));
+	raises(() => merge({ tags: [string] }, { tags: [string, 1] }));
+	raises(() => merge({ a: { b: [{ c: 1 }] } }, { a: { b: [{ c: 2 }] } }));
+	raises(() => merge({ code: /^a$/ }, { code: /^a$/i }));
+
+	// Limits on the number of optional properties
+	let one_contact = object({}, { email: string, phone: string }, 1, 1);
+	fail(extend(one_contact, { name: string }), { name: 'Ann' }, ['']);
+	match(extend(one_contact, { fax: string }), { email: 'a', fax: 'b' });
+	raises(() => extend(one_contact, object({}, { fax: string })));
+	equals(describe(merge(one_contact, object({}, { email: string, phone: string }, 0, 1))).max, 1);
+	let email_only = pick(one_contact, ['email']);
+	match(email_only, { email: 'a' });
+	equals(describe(omit(one_contact, ['email', 'phone'])).min, 0);
+	match(partial(one_contact), {});
+
+	// __proto__ stays a property
+	let proto = JSON.parse('{ "__proto__": 1 }');
+	equals(Object.keys(describe(extend({}, proto)).required), ['__proto__']);
+
+	raises(() => pick(user, ['nope']));
+	raises(() => omit(user, ['nope']));
+	raises(() => partial(map(string, string)));
+	raises(() => extend(string, {}));
+	raises(() => required({ a: undefined }));
+}
+
+// Rules between properties
+{
+	let messages = (code) => code;
+	let order = and_all(
+		object({ item: string }, { billing: string, vat_id: string, email: string, phone: string, fax: string }),
+		dependent_required({ billing: ['vat_id'], fax: ['phone'] }),
+		mutually_exclusive('email', 'phone', 'fax'),
+	);
+	match(order, { item: 'a' });
+	match(order, { item: 'a', billing: 'b', vat_id: 'c' });
+	fail(order, { item: 'a', billing: 'b' }, ['.vat_id']);
+	fail(order, { item: 'a', billing: 'b', vat_id: undefined }, ['.vat_id']);
+	fail(order, { item: 'a', fax: 'f' }, ['.phone']);
+	fail(order, { item: 'a', email: 'e', phone: 'p' }, ['.email', '.phone']);
+	fail(order, { item: 'a', fax: 'f', phone: 'p', billing: 'b' }, ['.fax', '.phone', '.vat_id']);
+	fail(dependent_required({ a: ['b'] }), 'a', ['']);
+	fail(mutually_exclusive('a', 'b'), [], ['']);
+	equals(validateJSON(dependent_required({ billing: ['vat_id'] }), { billing: 'b' }, { errorFormat: 'list' }).map(({ path, code, params }) => ({ path, code, params })), [
+		{ path: ['vat_id'], code: 'dependent_required', params: { property: 'vat_id', dependency: 'billing' } },
+	]);
+	equals(validateJSON(mutually_exclusive('a', 'b', 'c'), { a: 1, b: 2, c: 3 }, { messages: messageFormatter(englishMessages) }), {
+		'.a': 'a cannot be combined with b, c',
+		'.b': 'b cannot be combined with a, c',
+		'.c': 'c cannot be combined with a, b',
+	});
+	throws(() => dependent_required({ a: 'b' }), null);
+	throws(() => dependent_required(null), null);
+	throws(() => mutually_exclusive('a'), null);
+
+	// when() picks a schema by a condition, whose own errors are never reported
+	let payment = when(partial_object({ method: 'card' }), partial_object({ method: string, card: /^\d{16}$/ }), partial_object({ iban: string }));
+	let shipping = and_all(object({ method: string }, { card: string, iban: string }), payment);
+	match(shipping, { method: 'card', card: '1234567812345678' });
+	fail(shipping, { method: 'card', card: '1234' }, ['.card']);
+	fail(shipping, { method: 'card' }, ['.card']);
+	match(shipping, { method: 'transfer', iban: 'DE00' });
+	fail(shipping, { method: 'transfer' }, ['.iban']);
+	equals(validateJSON(payment, { method: 'transfer' }, { messages }), { '.iban': 'missing_property' });
+	let adult = when(partial_object({ age: range(18, Infinity) }), object({ age: number }, { license: string }));
+	match(adult, { age: 3, anything: true });
+	match(adult, { age: 30, license: 'x' });
+	fail(adult, { age: 30, pet: 'cat' }, ['']);
+	equals(coerce(when(string, number, boolean), '12'), { value: 12, errors: null });
+	equals(coerce(when(string, number, boolean), 'x', { messages }), { value: 'x', errors: { '': 'expected_type' } });
+	equals(coerce([when(/^\d+$/, number, boolean)], ['1', 'true']).value, [1, true]);
+	throws(() => when(undefined, 1), null);
+	throws(() => when(1, undefined), null);
+
+	// The condition may be asynchronous
+	let premium = async (user) => user.plan === 'premium';
+	let quota = when(premium, partial_object({ quota: range(0, 1000) }), partial_object({ quota: range(0, 10) }));
+	equals(await validateAsync(quota, { plan: 'premium', quota: 500 }), true);
+	equals(await validateAsync(quota, { plan: 'free', quota: 500 }, { messages }), { '.quota': 'out_of_range' });
+	raises(() => validateJSON(quota, { plan: 'free', quota: 5 }));
+
+	// Describing, walking and JSON Schema
+	equals(describe(dependent_required({ a: ['b'] })), { kind: 'dependent_required', dependencies: { a: ['b'] } });
+	equals(describe(mutually_exclusive('a', 'b')), { kind: 'mutually_exclusive', properties: ['a', 'b'] });
+	let paths = [];
+	walkSchema(adult, (schema, description, path) => paths.push(path.join('/')));
+	equals(paths, ['', 'condition', 'condition/properties/age', 'then_schema', 'then_schema/required/age', 'then_schema/optional/license']);
+	let $schema = 'https://json-schema.org/draft/2020-12/schema';
+	equals(toJSONSchema(dependent_required({ billing: ['vat_id'] })), { $schema, type: 'object', dependentRequired: { billing: ['vat_id'] } });
+	equals(toJSONSchema(mutually_exclusive('a', 'b')), { $schema, type: 'object', not: { required: ['a', 'b'] } });
+	equals(toJSONSchema(mutually_exclusive('a', 'b', 'c')), { $schema, type: 'object', not: { anyOf: [{ required: ['a', 'b'] }, { required: ['a', 'c'] }, { required: ['b', 'c'] }] } });
+	equals(toJSONSchema(when(string, /^a/)), { $schema, if: { type: 'string' }, then: { type: 'string', pattern: '^a' } });
+	equals(toJSONSchema(when(string, /^a/, number)), { $schema, if: { type: 'string' }, then: { type: 'string', pattern: '^a' }, else: { type: 'number' } });
+	let imported = fromJSONSchema({
+		type: 'object',
+		dependentRequired: { billing: ['vat_id'] },
+		if: { properties: { method: { const: 'card' } } },
+		then: { required: ['card'] },
+		else: { required: ['iban'] },
+	});
+	match(imported, { method: 'card', card: 'x' });
+	fail(imported, { method: 'card', iban: 'x' }, ['.card']);
+	fail(imported, { method: 'transfer', card: 'x' }, ['.iban']);
+	fail(imported, { method: 'card', card: 'x', billing: 'b' }, ['.vat_id']);
+	match(fromJSONSchema({ dependentRequired: { a: ['b'] } }), 'not an object');
+	match(fromJSONSchema({ then: false }), 1);
+	raises(() => fromJSONSchema({ dependentRequired: { a: 'b' } }));
+}
+
+// Streaming validation
+{
+	let messages = (code) => code;
+	let chunks = (text, size) => {
+		let res = [];
+		for (let i = 0; i < text.length; i += size)
+			res.push(text.slice(i, i + size));
+		return res;
+	};
+	// The same errors as validateJSON(), in document order, however the text is split
+	let same_errors = async (schema, value, options = {}) => {
+		let text = JSON.stringify(value, null, 1);
+		let expected = validateJSON(schema, value, { ...options, errorFormat: 'list' });
+		let key = (errors) => errors === true ? [] : errors.map(({ path, code }) => `${toJSONPointer(path)} ${code}`).sort();
+		for (let size of [1, 7, text.length]) {
+			let res = await validateStream(schema, Readable.from(chunks(text, size)), options);
+			equals(key(res), key(expected));
+		}
+	};
+	let user = { name: string, age: and(integer, range(0, 150)), tags: [string] };
+	let users = [
+		{ name: 'Ann', age: 30, tags: [] },
+		{ name: 'Bob', age: 200, tags: ['a', 1] },
+		{ extra: 1, name: 'Ćaŝ 😀', age: 'x', tags: ['\\"\u2028'] },
+		{ name: 'Ćaŝ 😀', age: 'x', tags: ['\\"\u2028'] },
+		{ age: 1, tags: [] },
+		'nope',
+	];
+	await same_errors([user], users);
+	await same_errors([user], users, { unknown: 'report-all' });
+	await same_errors([user], users, { unknown: 'strip' });
+	await same_errors([user, 1, 2], users);
+	await same_errors({ users: [user], total: integer }, { users: users.slice(0, 2), total: 2 });
+	await same_errors({ users: [user], total: integer }, { more: {}, total: 2.5, users: [] });
+	await same_errors(object({ id: integer }, { name: string, email: string }, 1, 1), { id: 1, name: 'a', email: 'b' });
+	await same_errors(object({ id: integer }, { name: string, email: string }, 1, 1), { id: 1 });
+	await same_errors(plain_object({ id: [integer] }, {}), { id: [1, '2'] });
+	await same_errors([user], { not: 'an array' });
+	await same_errors({ a: [number] }, { a: 'not an array' });
+	await same_errors(map(string, [integer]), { a: [1, 'x'], b: [] });
+	await same_errors(or(null, [number]), [1, 'x']);
+	await same_errors([[[integer]]], [[[1, 2.5]], [], [[null]]]);
+	await same_errors(string, 'just a string');
+	await same_errors(integer, 1.5);
+	await same_errors([number], [1, -0.5e-3, 1E+2, 0, -0, 12345678901234567890]);
+	await same_errors([or(true, false, null)], [true, false, null]);
+
+	// Byte offsets point at the failing value in UTF-8
+	let text = '{"name": "Ä€😀", "items": [1, {"a": [true, "x"]}, "y"]}';
+	let bytes = new TextEncoder().encode(text);
+	let schema = { name: 1, items: [or(integer, { a: [boolean] })] };
+	let byte_chunks = [];
+	for (let i = 0; i < bytes.length; i += 3)
+		byte_chunks.push(bytes.slice(i, i + 3));
+	let res = await validateStream(schema, Readable.from(byte_chunks), { messages });
+	let offset_of = (text, needle) => Buffer.from(text).indexOf(needle);
+	equals(res.map(({ path, offset }) => [toJSPath(path), offset]), [['.name', 9], ['.items[1]', offset_of(text, '{"a"')], ['.items[2]', offset_of(text, '"y"')]]);
+	text = '{"list": [[1], [2, {"a": [true, "x"]}], "y"]}';
+	res = await validateStream({ list: [[integer]] }, Readable.from([text]));
+	equals(res.map(({ path, offset }) => [toJSPath(path), offset]), [['.list[1][1]', offset_of(text, '{"a"')], ['.list[2]', offset_of(text, '"y"')]]);
+	res = await validateStream(map(string, { a: [integer] }), Readable.from(['{"x": {"a": [1, 2, "3"]}}']));
+	equals(res.map(({ path, offset }) => [toJSPath(path), offset]), [['.x.a[2]', 19]]);
+
+	// Unlike validateJSON(), errors before an unknown property are not taken back
+	res = await validateStream({ a: integer, b: integer }, Readable.from(['{"a": "1", "c": 1, "b": "2"}']), { messages });
+	equals(res.map(({ path, code }) => [toJSPath(path), code]), [['.a', 'expected_type'], ['', 'unexpected_property']]);
+
+	// WHATWG streams, bytes or strings
+	equals(await validateStream([integer], new Blob(['[1, 2, 3]']).stream()), true);
+	let stream = new ReadableStream({ start(controller) { controller.enqueue('[1, '); controller.enqueue('"2"]'); controller.close(); } });
+	equals((await validateStream([integer], stream)).map(({ path }) => path), [[1]]);
+
+	// Arrays of chunks, but not JSON text on its own
+	equals(await validateStream([integer], ['[1,', '2]']), true);
+	await rejects(validateStream([integer], '[1,2]'));
+	await rejects(validateNDJSON(integer, '1\n2\n'));
+
+	// Stopping after a number of errors stops reading
+	let read = 0, closed = false;
+	async function* numbers() {
+		try {
+			yield '[';
+			for (let i = 0; i < 1000; i++) {
+				read++;
+				yield `${i === 0 ? '' : ','}"${i}"`;
+			}
+			yield ']';
+		}
+		finally {
+			closed = true;
+		}
+	}
+	let reported = [];
+	res = await validateStream([integer], numbers(), { maxErrors: 3, onError: (error) => reported.push(error.path[0]) });
+	equals(res.map(({ path }) => path[0]), [0, 1, 2]);
+	equals(reported, [0, 1, 2]);
+	equals(read, 3);
+	equals(closed, true);
+	equals((await validateStream([{ a: integer, b: integer }], Readable.from(['[{"a": "1", "b": "2"}]']), { maxErrors: 1 })).length, 1);
+	let canceled = false;
+	stream = new ReadableStream({ start(controller) { controller.enqueue('['); }, pull(controller) { controller.enqueue('"x", '); }, cancel() { canceled = true; } });
+	equals((await validateStream([integer], stream, { maxErrors: 2 })).length, 2);
+	equals(canceled, true);
+
+	// Invalid JSON
+	for (let invalid of ['', '[', '[1,]', '{"a" 1}', '{"a": 1,}', '[1 2]', '{1: 2}', 'tru', 'nul', '01', '1.', '.5', '+1', 'NaN', '"a', '"\\x"', '"\t"', '[]]', '1 2', '[1}', '{]', "'a'"])
+		await rejects(validateStream(() => true, Readable.from([invalid])));
+	await rejects(validateStream([integer], Readable.from(['[1, 2', '3]]'])));
+	await rejects(validateStream([integer], Readable.from(['[1]']), { maxErrors: 0 }));
+	await rejects(validateStream(undefined, Readable.from(['1'])));
+}
+
+// Newline-delimited JSON
+{
+	let messages = (code) => code;
+	let record = { level: one_of('info', 'error'), msg: string, user: partial_object({ id: integer }) };
+	let text = [
+		'{"level": "info", "msg": "a", "user": {"id": 1}}',
+		'{"level": "warn", "msg": "b", "user": {"id": 1}}',
+		'',
+		'{"level": "info", "msg": "c", "user": {"id": "x"}}\r',
+		'{"level": "info", "msg": ',
+		'  ',
+		'{"level": "warn", "msg": 1, "user": {"id": 2.5}}',
+		'{"level": "error", "msg": "d", "user": {}}',
+	].join('\n') + '\n';
+	let split = (text, size) => {
+		let res = [];
+		for (let i = 0; i < text.length; i += size)
+			res.push(text.slice(i, i + size));
+		return res;
+	};
+	for (let size of [1, 5, text.length]) {
+		let res = await validateNDJSON(record, Readable.from(split(text, size)), { messages });
+		equals(res.lines, 6);
+		equals(res.valid, 1);
+		equals(res.invalid, 5);
+		equals(res.errors.map(({ line }) => line), [2, 4, 5, 7, 8]);
+		equals(res.errors[0], { line: 2, parseError: null, errors: { '.level': 'not_one_of' } });
+		equals(res.errors[2].errors, null);
+		equals(typeof res.errors[2].parseError, 'string');
+		equals(res.errors[3].errors, { '.level': 'not_one_of', '.msg': 'expected_type', '.user.id': 'expected_type' });
+		equals(res.commonPaths, [{ path: '.user.id', count: 3 }, { path: '.level', count: 2 }, { path: '.msg', count: 1 }]);
+	}
+	let bytes = new TextEncoder().encode('"ä"\n"€"\n1');
+	let res = await validateNDJSON(string, [bytes.slice(0, 2), bytes.slice(2, 7), bytes.slice(7)], { errorFormat: 'list', maxCommonPaths: 1 });
+	equals(res.lines, 3);
+	equals(res.errors.map(({ line, errors }) => [line, errors[0].code]), [[3, 'expected_type']]);
+	equals(res.commonPaths, [{ path: '', count: 1 }]);
+	equals(await validateNDJSON(number, []), { lines: 0, valid: 0, invalid: 0, errors: [], commonPaths: [] });
+	equals((await validateNDJSON(number, ['1\n2\n\n'])).lines, 2);
+
+	// fail-fast stops reading at the first invalid line
+	let read = 0, closed = false;
+	async function* lines() {
+		try {
+			for (let i = 0; i < 100; i++) {
+				read++;
+				yield i === 2 ? 'x\n' : `${i}\n`;
+			}
+		}
+		finally {
+			closed = true;
+		}
+	}
+	res = await validateNDJSON(integer, lines(), { mode: 'fail-fast' });
+	equals([res.lines, res.valid, res.invalid, read, closed], [3, 2, 1, 3, true]);
+	equals(res.errors[0].line, 3);
+	res = await validateNDJSON(integer, ['1\n', '-1.5\n', '2\n'], { mode: 'fail-fast', messages });
+	equals(res.errors, [{ line: 2, parseError: null, errors: { '': 'expected_type' } }]);
+
+	await rejects(validateNDJSON(integer, ['1'], { mode: 'fast' }));
+	await rejects(validateNDJSON(undefined, ['1']));
+}
+
+// Command-line tool
+{
+	let dir = mkdtempSync(join(tmpdir(), 'json-validate-'));
+	let cli = fileURLToPath(new URL('./cli.mjs', import.meta.url));
+	let run = (args, input = '') => spawnSync(process.execPath, [cli, ...args], { cwd: dir, input, encoding: 'utf8' });
+	writeFileSync(join(dir, 'schema.mjs'), `
+		import { string, integer, range } from ${JSON.stringify(new URL('./validate.mjs', import.meta.url).href)};
+		export default { name: string, age: range(0, 150) };
+		export const broken = { a: undefined };
+	`);
+	writeFileSync(join(dir, 'good.json'), '{"name": "Ann", "age": 30}');
+	writeFileSync(join(dir, 'bad.json'), '{\n  "name": "Bob",\n  "age": 200\n}\n');
+	writeFileSync(join(dir, 'syntax.json'), '{"name": ');
+
+	let res = run(['--schema', 'schema.mjs', 'good.json']);
+	equals([res.status, res.stdout], [0, 'good.json: valid\n']);
+	res = run(['-s', 'schema.mjs', 'good.json', 'bad.json']);
+	equals([res.status, res.stdout], [1, 'good.json: valid\nbad.json:3:10: .age: Expected a number >= 0 and <= 150\n']);
+	res = run(['-s', 'schema.mjs', '-f', 'json', 'bad.json', 'syntax.json']);
+	equals(res.status, 1);
+	let output = JSON.parse(res.stdout);
+	equals(output.valid, false);
+	equals(output.files[0], { file: 'bad.json', valid: false, errors: [{ path: ['age'], code: 'out_of_range', message: 'Expected a number >= 0 and <= 150', line: 3, column: 10 }] });
+	equals(output.files[1].errors.map(({ code, line, column }) => [code, line, column]), [['invalid_json', 1, 10]]);
+	res = run(['-s', 'schema.mjs', '--format', 'github', 'bad.json', 'good.json']);
+	equals([res.status, res.stdout], [1, '::error file=bad.json,line=3,col=10,title=Schema validation failed::.age: Expected a number >= 0 and <= 150\n']);
+	res = run(['-s', 'schema.mjs', '--format', 'github', 'syntax.json']);
+	equals([res.status, res.stdout.startsWith('::error file=syntax.json,line=1,col=10,title=Invalid JSON::(root): ')], [1, true]);
+	// Columns count characters, not bytes, on any line
+	writeFileSync(join(dir, 'lines.json'), '[\n{"name": "Zoë", "age": 1},\n\n{"name": "Jürgen", "age": -1}]');
+	writeFileSync(join(dir, 'list.mjs'), `import person from './schema.mjs'; export default [person];`);
+	res = run(['-s', 'list.mjs', 'lines.json']);
+	equals([res.status, res.stdout], [1, 'lines.json:4:27: [1].age: Expected a number >= 0 and <= 150\n']);
+	res = run(['-s', 'schema.mjs'], '{"name": "Eve", "age": 1, "x": 2}');
+	equals([res.status, res.stdout], [1, '<stdin>:1:1: (root): Unexpected property: x\n']);
+	res = run(['-s', 'schema.mjs', '--unknown', 'report-all', '-'], '{"name": "Eve", "age": 1, "x": 2}');
+	equals([res.status, res.stdout], [1, '<stdin>:1:32: .x: Unexpected property: x\n']);
+
+	// An invalid schema exits with a different code than invalid data, and so does wrong usage
+	equals(run(['-s', 'schema.mjs#broken', 'good.json']).status, 2);
+	equals(run(['-s', 'schema.mjs#missing', 'good.json']).status, 2);
+	equals(run(['-s', 'nothing.mjs', 'good.json']).status, 2);
+	equals(run(['good.json']).status, 3);
+	equals(run(['-s', 'schema.mjs', '-f', 'xml', 'good.json']).status, 3);
+	equals(run(['-s', 'schema.mjs', '--bogus', 'good.json']).status, 3);
+	equals(run(['-s', 'schema.mjs', 'nothing.json']).status, 3);
+	equals(run(['-s', 'schema.mjs', '--watch']).status, 3);
+	res = run(['--help']);
+	equals([res.status, res.stdout.startsWith('Usage: json-validate')], [0, true]);
+
+	rmSync(dir, { recursive: true });
+}
+
+// Hostile values
+{
+	let messages = (code) => code;
+	// Properties named like methods of Object.prototype are just properties
+	let spoofed = JSON.parse('{"hasOwnProperty": 1, "name": "a"}');
+	fail({ name: string }, spoofed, ['']);
+	match({ name: string, hasOwnProperty: number }, spoofed);
+	match(object({ name: string }, { hasOwnProperty: number, toString: string }), spoofed);
+	match(partial_object({ name: string }), spoofed);
+	match(union('name', { a: partial_object({}) }), spoofed);
+	match(dependent_required({ name: ['hasOwnProperty'] }), spoofed);
+	match(mutually_exclusive('hasOwnProperty', 'x'), spoofed);
+	fail(mutually_exclusive('hasOwnProperty', 'name'), spoofed, ['.hasOwnProperty', '.name']);
+	match(map(string, or(number, string)), spoofed);
+	equals(validateJSON(object({ hasOwnProperty: string }, { name: string }), spoofed, { messages, errorFormat: 'list' })[0].value, 1);
+	fail({ valueOf: number }, {}, ['.valueOf']);
+	fail({ constructor: number }, {}, ['.constructor']);
+	equals(parse(partial_object({ name: string }), spoofed).value, spoofed);
+	match(fromJSONSchema({ $ref: '#/$defs/hasOwnProperty', $defs: { hasOwnProperty: { type: 'number' } } }), 1);
+
+	// Keys that could pollute prototypes are rejected in hardened mode
+	let polluting = JSON.parse('{"a": [{"__proto__": {"isAdmin": true}}]}');
+	equals(validateJSON({ a: [map(string, object)] }, polluting, { hardened: true, messages }), { '.a[0].__proto__': 'forbidden_property' });
+	equals(coerce({ a: [map(string, object)] }, polluting, { hardened: true }).errors !== null, true);
+	equals(validateJSON(map(string, number), { constructor: 1 }, { hardened: true, messages }), { '.constructor': 'forbidden_property' });
+	equals(validateJSON(map(string, number), { prototype: 1 }, { hardened: true, messages }), { '.prototype': 'forbidden_property' });
+	equals(validateJSON(map(string, number), { constructor: 1 }, { hardened: { forbiddenKeys: [] } }), true);
+	equals(validateJSON(map(string, number), { secret: 1 }, { hardened: { forbiddenKeys: ['secret'] }, messages }), { '.secret': 'forbidden_property' });
+	let value = coerce({ a: [map(string, object)] }, polluting).value;
+	equals([{}.isAdmin, value.a[0].isAdmin, Object.getPrototypeOf(value.a[0]) === Object.prototype], [undefined, undefined, true]);
+
+	// Values nested too deeply fail cleanly instead of overflowing the stack
+	let deep = [];
+	for (let i = 0; i < 100000; i++)
+		deep = [deep];
+	let errors = validateJSON(unique(), deep, { hardened: true, errorFormat: 'list', messages });
+	equals(errors.map(({ path, code, params }) => [path.length, code, params]), [[64, 'limit_exceeded', { limit: 'maxNesting', max: 64 }]]);
+	equals(validateJSON(() => true, [[[1]]], { hardened: { maxNesting: 3 } }), true);
+	equals(validateJSON(() => true, [[[[1]]]], { hardened: { maxNesting: 3 }, messages }), { '[0][0][0]': 'limit_exceeded' });
+	equals(validateJSON(() => true, { a: { b: {} } }, { hardened: { maxNesting: 2 }, messages }), { '.a.b': 'limit_exceeded' });
+	let recursive = lazy(() => [recursive]);
+	equals(validateJSON(recursive, deep, { hardened: true, messages }), { [toJSPath(new Array(64).fill(0))]: 'limit_exceeded' });
+
+	// Sizes, checked before any validation happens
+	let calls = 0;
+	let counting = (v) => ++calls > 0;
+	let limits = { maxArrayLength: 3, maxProperties: 2, maxStringLength: 5, maxValues: 10 };
+	equals(validateJSON([counting], [1, 2, 3, 4], { hardened: limits, messages }), { '': 'limit_exceeded' });
+	equals(validateJSON(map(string, counting), { a: 1, b: 2, c: 3 }, { hardened: limits, messages }), { '': 'limit_exceeded' });
+	equals(validateJSON([counting], ['12345', '123456'], { hardened: limits, messages }), { '[1]': 'limit_exceeded' });
+	equals(validateJSON(map(string, counting), { abcdef: 1 }, { hardened: limits, messages }), { '.abcdef': 'limit_exceeded' });
+	equals(validateJSON([[counting]], [[1, 2, 3], [4, 5, 6], [7]], { hardened: limits, messages }), { '[2][0]': 'limit_exceeded' });
+	equals(calls, 0);
+	equals(validateJSON([[counting]], [[1, 2, 3], [4, 5, 6]], { hardened: limits }), true);
+	equals(calls, 6);
+	equals(validateJSON([integer], new Array(20000).fill(1), { hardened: true, messages, errorFormat: 'list' }).map(({ params }) => params), [{ limit: 'maxArrayLength', max: 10000 }]);
+	equals(validateJSON(string, 'x'.repeat(100001), { hardened: true, messages: messageFormatter(englishMessages) }), { '': 'Longer than 100000 characters' });
+	equals(validateJSON(string, 'x'.repeat(100000), { hardened: true }), true);
+
+	// All the ways to validate support it
+	equals(Object.keys(compile([integer], { hardened: limits })([1, 2, 3, 4])), ['']);
+	equals(parse([integer], [1, 2, 3, 4], { hardened: limits }).errors !== null, true);
+	equals(Object.keys(await validateAsync([async () => true], [1, 2, 3, 4], { hardened: limits })), ['']);
+	equals((await validateNDJSON(map(string, integer), ['{"a": 1}\n{"__proto__": 1}\n'], { hardened: true })).commonPaths, [{ path: '.__proto__', count: 1 }]);
+}
+
+// Patches
+{
+	let messages = (code) => code;
+	let errors = (res) => res === true ? true : res.map(({ operation, path, code }) => [operation, toJSONPointer(path), code]);
+	let checked = [];
+	let sku = (v) => { checked.push(v); return string(v); };
+	let schema = object({ name: string, tags: [string, 0, 3], items: [{ sku, qty: range(1, 10) }] }, { meta: map(/^[a-z]+$/, integer), pos: tuple(integer, integer) });
+	let document = { name: 'a', tags: ['x'], items: [{ sku: 's', qty: 1 }, { sku: 't', qty: 2 }] };
+	let patch = (operations) => errors(validatePatch(schema, document, operations, { messages }));
+
+	// Only the changed parts are validated
+	equals(patch([{ op: 'replace', path: '/name', value: 'b' }, { op: 'add', path: '/tags/-', value: 'y' }, { op: 'replace', path: '/items/1/qty', value: 3 }, { op: 'add', path: '/meta', value: { a: 1 } }]), true);
+	equals(checked, []);
+	equals(patch([{ op: 'replace', path: '/items/1/sku', value: 'u' }]), true);
+	equals(checked, ['u']);
+	equals(document.items[1].sku, 't');
+
+	// Errors have the index of the operation and the path in the document
+	equals(patch([{ op: 'test', path: '/name', value: 'a' }, { op: 'replace', path: '/name', value: 1 }]), [[1, '/name', 'expected_type']]);
+	equals(patch([{ op: 'add', path: '/tags/-', value: 'y' }, { op: 'add', path: '/tags/-', value: 'z' }, { op: 'add', path: '/tags/0', value: 1 }]), [[2, '/tags', 'array_length'], [2, '/tags/0', 'expected_type']]);
+	equals(patch([{ op: 'remove', path: '/name' }]), [[0, '/name', 'missing_property']]);
+	equals(patch([{ op: 'move', from: '/items/0/sku', path: '/name' }]), [[0, '/items/0/sku', 'missing_property']]);
+	equals(patch([{ op: 'add', path: '/meta', value: { a: 1 } }, { op: 'add', path: '/meta/b', value: 'x' }]), [[1, '/meta/b', 'expected_type']]);
+	equals(patch([{ op: 'add', path: '/pos', value: [1, 'x'] }]), [[0, '/pos/1', 'expected_type']]);
+	// Array elements shift
+	equals(patch([{ op: 'replace', path: '/items/1/qty', value: 20 }, { op: 'remove', path: '/items/0' }]), [[0, '/items/0/qty', 'out_of_range']]);
+	equals(patch([{ op: 'replace', path: '/items/1/qty', value: 20 }, { op: 'remove', path: '/items/1' }]), true);
+	equals(patch([{ op: 'replace', path: '/items/0/qty', value: 20 }, { op: 'add', path: '/items/0', value: { sku: 'r', qty: 1 } }]), [[0, '/items/1/qty', 'out_of_range']]);
+	equals(patch([{ op: 'copy', from: '/items/0', path: '/items/-' }, { op: 'move', from: '/items/0', path: '/items/2' }]), true);
+
+	// Paths the schema doesn't allow are rejected, and the other operations still checked
+	equals(patch([{ op: 'add', path: '/extra', value: 1 }, { op: 'replace', path: '/items/1/qty', value: 20 }]), [[0, '/extra', 'path_not_allowed'], [1, '/items/1/qty', 'out_of_range']]);
+	equals(patch([{ op: 'add', path: '/meta', value: {} }, { op: 'add', path: '/meta/B', value: 2 }]), [[1, '/meta/B', 'path_not_allowed']]);
+	equals(patch([{ op: 'add', path: '/tags/0/x', value: 2 }]), [[0, '/tags/0/x', 'missing_target']]);
+	equals(patch([{ op: 'add', path: '/pos', value: [1, 2] }, { op: 'add', path: '/pos/2', value: 3 }]), [[1, '/pos/2', 'path_not_allowed']]);
+	equals(errors(validatePatch(schema, document, [{ op: 'add', path: '/extra', value: 1 }], { unknown: 'strip' })), true);
+	// Removing is always allowed
+	equals(errors(validatePatch(schema, { ...document, old: 1 }, [{ op: 'remove', path: '/old' }])), true);
+	equals(errors(validatePatch(schema, { ...document, old: 1 }, [{ op: 'move', from: '/old', path: '/meta' }])), [[0, '/meta', 'expected_type']]);
+
+	// Patches that can't be applied fail with a single error
+	equals(patch([{ op: 'test', path: '/name', value: 'z' }, { op: 'replace', path: '/name', value: 1 }]), [[0, '/name', 'test_failed']]);
+	equals(patch([{ op: 'remove', path: '/nope' }]), [[0, '/nope', 'missing_target']]);
+	equals(patch([{ op: 'replace', path: '/items/2', value: {} }]), [[0, '/items/2', 'missing_target']]);
+	// Array indexes are numbers, as in other errors
+	equals(validatePatch(schema, document, [{ op: 'replace', path: '/items/2', value: {} }])[0].path, ['items', 2]);
+	equals(validatePatch(schema, document, [{ op: 'add', path: '/tags/0/x', value: 2 }])[0].path, ['tags', 0, 'x']);
+	equals(validatePatch(schema, document, [{ op: 'move', from: '/items/5/sku', path: '/name' }])[0].path, ['items', 5, 'sku']);
+	equals(patch([{ op: 'replace', path: '/name', value: 'b' }, { op: 'frob', path: '/name' }]), [[1, '', 'invalid_patch']]);
+	equals(patch([{ op: 'add', path: 'name', value: 1 }]), [[0, '', 'invalid_patch']]);
+	equals(patch([{ op: 'add', path: '/name' }]), [[0, '', 'invalid_patch']]);
+	equals(patch([{ op: 'move', from: '/items', path: '/items/0' }]), [[0, '', 'invalid_patch']]);
+	equals(patch({ op: 'add', path: '/name', value: 'b' }), [[null, '', 'invalid_patch']]);
+
+	// Schemata it can't follow are validated as a whole
+	let shape = union('type', { circle: { type: 'circle', radius: number }, square: { type: 'square', size: number } });
+	equals(errors(validatePatch(shape, { type: 'circle', radius: 1 }, [{ op: 'replace', path: '/radius', value: 'x' }])), [[0, '/radius', 'expected_type']]);
+	equals(errors(validatePatch(shape, { type: 'circle', radius: 1 }, [{ op: 'add', path: '/size', value: 1 }])), [[0, '/size', 'path_not_allowed']]);
+	equals(errors(validatePatch(shape, { type: 'circle', radius: 1 }, [{ op: 'replace', path: '/type', value: 'square' }])), [[0, '', 'unexpected_property']]);
+	let order = and_all(object({ item: string }, { billing: string, vat_id: string }), dependent_required({ billing: ['vat_id'] }));
+	equals(errors(validatePatch(order, { item: 'a' }, [{ op: 'add', path: '/billing', value: 'b' }])), [[0, '/vat_id', 'dependent_required']]);
+	let comment = lazy(() => object({ text: string }, { replies: [comment] }));
+	equals(errors(validatePatch(comment, { text: 'a', replies: [{ text: 'b' }] }, [{ op: 'add', path: '/replies/0/replies', value: [{ text: 1 }] }])), [[0, '/replies/0/replies/0/text', 'expected_type']]);
+	equals(errors(validatePatch(comment, { text: 'a' }, [{ op: 'replace', path: '', value: { text: 1 } }])), [[0, '/text', 'expected_type']]);
+
+	// Merge patches
+	let merge = (patch) => errors(validateMergePatch(schema, document, patch, { messages }));
+	checked = [];
+	equals(merge({ name: 'b', tags: ['a', 'b'], meta: { a: 1 } }), true);
+	equals(checked, []);
+	equals(merge({ name: null }), [[undefined, '/name', 'missing_property']]);
+	equals(merge({ meta: { a: 1, B: 2 }, extra: null }), [[undefined, '/meta/B', 'path_not_allowed']]);
+	equals(merge({ items: [{ sku: 1 }] }), [[undefined, '/items/0/sku', 'invalid'], [undefined, '/items/0/qty', 'missing_property']]);
+	equals(merge({ meta: { a: 'x' } }), [[undefined, '/meta/a', 'expected_type']]);
+	equals(merge(null), [[undefined, '', 'expected_type']]);
+	equals(errors(validateMergePatch(shape, { type: 'circle', radius: 1 }, { type: 'square', radius: null, size: 2 })), true);
+	equals(errors(validateMergePatch(shape, { type: 'circle', radius: 1 }, { type: 'square', size: 2 })), [[undefined, '', 'unexpected_property']]);
+	equals(document, { name: 'a', tags: ['x'], items: [{ sku: 's', qty: 1 }, { sku: 't', qty: 2 }] });
+
+	raises(() => validatePatch({ a: undefined }, {}, []));
+	raises(() => validateMergePatch({ a: undefined }, {}, {}));
+}
+
+// Request validation
+{
+	let schemata = {
+		body: { name: string, qty: range(1, 10) },
+		query: object({}, { page: with_default(integer, 1), tag: [string] }),
+		params: { id: integer },
+		headers: { 'x-api-key': /^k/ },
+		response: { id: integer, name: string },
+	};
+	let summary = (problem) => [problem.status, problem.errors.map((e) => [e.in, e.pointer, e.code])];
+	let validator = requestValidator(schemata, { validateResponses: false });
+	let parts = { body: { name: 'a', qty: 2 }, query: { tag: 'x' }, params: { id: '7' }, headers: { 'x-api-key': 'key', accept: '*/*' } };
+	let { value, problem } = validator.request(parts);
+	equals(problem, null);
+	// Strings are converted except in the body, and headers not in the schema dropped
+	equals(value, { params: { id: 7 }, query: { tag: ['x'], page: 1 }, headers: { 'x-api-key': 'key' }, body: { name: 'a', qty: 2 } });
+	equals(validator.request({ ...parts, body: { name: 'a', qty: '2' } }).value.body.qty, '2');
+	problem = validator.request({ body: { name: 1, qty: 20 }, query: { page: 'x' }, params: {}, headers: {} }).problem;
+	equals(Object.keys(problem), ['type', 'title', 'status', 'detail', 'errors']);
+	equals([problem.type, problem.title], ['about:blank', 'Bad Request']);
+	equals(summary(problem), [400, [['params', '#/id', 'missing_property'], ['query', '#/page', 'expected_type'], ['headers', '#/x-api-key', 'missing_property'], ['body', '#/name', 'expected_type'], ['body', '#/qty', 'out_of_range']]]);
+	equals(problem.errors[0].detail, 'Missing property id');
+	equals(summary(validator.request({ ...parts, body: { name: 'a', qty: 1, extra: 0 } }).problem), [400, [['body', '#', 'unexpected_property']]]);
+	equals(validator.request({ ...parts, body: undefined }).problem.errors[0].pointer, '#');
+	// Parts without a schema are passed on
+	equals(requestValidator({}).request(parts).value, { params: parts.params, query: parts.query, headers: parts.headers, body: parts.body });
+	equals(validator.response({ id: 1, name: 'a' }), null);
+	equals(summary(validator.response({ id: 'x', name: 'a' })), [500, [['response', '#/id', 'expected_type']]]);
+	equals(requestValidator({}).response({}), null);
+	raises(() => requestValidator({ body: { a: 1n } }));
+
+	// Node http, with stand-ins for the request and response, as no network is needed
+	let node_response = () => ({
+		statusCode: 200, headersSent: false, headers: {}, sent: [], destroyed: null,
+		setHeader(name, value) { this.headers[name.toLowerCase()] = value; }, getHeader(name) { return this.headers[name.toLowerCase()]; },
+		writeHead(status, headers = {}) {
+			this.statusCode = status;
+			for (let name in headers)
+				this.setHeader(name, headers[name]);
+			this.headersSent = true;
+		},
+		write(chunk) { this.headersSent = true; this.sent.push(Buffer.from(chunk)); },
+		end(chunk) {
+			this.headersSent = true;
+			if (typeof chunk === 'string' || chunk instanceof Uint8Array)
+				this.sent.push(Buffer.from(chunk));
+		},
+		destroy(error) { this.destroyed = error.message; },
+	});
+	let handled = [];
+	let serve = async (listener, requests) => {
+		let responses = [];
+		for (let [url, { body = '', headers = {} } = {}] of requests) {
+			let req = Object.assign(Readable.from(body === '' ? [] : [Buffer.from(body)]), { url, headers });
+			let res = node_response();
+			await listener(req, res);
+			responses.push([res.statusCode, res.getHeader('content-type'), Buffer.concat(res.sent).toString()]);
+		}
+		return responses;
+	};
+	let post = (body, headers = { 'x-api-key': 'key' }) => ({ method: 'POST', body, headers });
+	let reply = (res, status, body) => {
+		res.writeHead(status, { 'content-type': 'application/json' });
+		res.end(JSON.stringify(body));
+	};
+	let handler = nodeHandler({ ...schemata, params: undefined }, (req, res, value) => {
+		handled.push(value);
+		reply(res, 200, { id: value.query.page, name: value.body.name });
+	}, { validateResponses: true, maxBodySize: 100 });
+	let responses = await serve(handler, [
+		['/?page=2&tag=a&tag=b', post('{"name":"a","qty":1}')],
+		['/', post('{"name":"a","qty":0}')],
+		['/', post('{"name":')],
+		['/', post(JSON.stringify({ name: 'a'.repeat(100), qty: 1 }))],
+		['/', post('')],
+		['/', post('{"name":"a","qty":1}', {})],
+	]);
+	equals(handled, [{ params: {}, query: { page: 2, tag: ['a', 'b'] }, headers: { 'x-api-key': 'key' }, body: { name: 'a', qty: 1 } }]);
+	equals(responses[0], [200, 'application/json', '{"id":2,"name":"a"}']);
+	equals(responses.slice(1).map(([status, type]) => [status, type]), [[400, 'application/problem+json'], [400, 'application/problem+json'], [413, 'application/problem+json'], [400, 'application/problem+json'], [400, 'application/problem+json']]);
+	equals(summary(JSON.parse(responses[1][2])), [400, [['body', '#/qty', 'out_of_range']]]);
+	equals(JSON.parse(responses[2][2]).detail.startsWith('The request body is not JSON'), true);
+	equals(JSON.parse(responses[3][2]).title, 'Content Too Large');
+	equals(summary(JSON.parse(responses[4][2])), [400, [['body', '#', 'expected_type']]]);
+	equals(summary(JSON.parse(responses[5][2])), [400, [['headers', '#/x-api-key', 'missing_property']]]);
+
+	// Responses are only checked when they are successful JSON, and replaced by a problem if they don't match
+	let bodies = [{ id: 'x' }, { id: 1, name: 'é' }];
+	let checked = (validateResponses) => nodeHandler({ response: schemata.response }, (req, res) => {
+		if (req.url === '/text') {
+			res.setHeader('content-type', 'text/plain');
+			res.write('not ');
+			return res.end('JSON');
+		}
+		if (req.url === '/missing')
+			return reply(res, 404, { id: 'x' });
+		let text = JSON.stringify(bodies[Number(req.url.slice(1))]);
+		res.setHeader('content-type', 'application/json; charset=utf-8');
+		res.setHeader('content-length', Buffer.byteLength(text));
+		res.write(text.slice(0, 3));
+		res.end(Buffer.from(text.slice(3)));
+	}, { validateResponses });
+	responses = await serve(checked(true), [['/0'], ['/1'], ['/text'], ['/missing']]);
+	equals(responses[0][0], 500);
+	equals(summary(JSON.parse(responses[0][2])), [500, [['response', '#/id', 'expected_type'], ['response', '#/name', 'missing_property']]]);
+	equals(responses.slice(1), [[200, 'application/json; charset=utf-8', '{"id":1,"name":"é"}'], [200, 'text/plain', 'not JSON'], [404, 'application/json', '{"id":"x"}']]);
+	equals((await serve(checked(false), [['/0']]))[0].slice(0, 2), [200, 'application/json; charset=utf-8']);
+
+	// Express-style, with a body parsed before and params set by the router
+	let middleware = expressMiddleware(schemata);
+	let run_middleware = (req) => new Promise((resolve) => {
+		let res = { statusCode: 200, headers: {}, setHeader(name, value) { this.headers[name] = value; }, getHeader(name) { return this.headers[name]; }, end: (text) => resolve(['sent', res.statusCode, summary(JSON.parse(text))]) };
+		middleware(req, res, (error) => resolve(error === undefined ? ['next', req.validated] : ['error', error]));
+	});
+	let req = { url: '/items/7?page=3', headers: { 'x-api-key': 'key' }, body: { name: 'a', qty: 1 }, query: { page: '3' }, params: { id: '7' } };
+	equals(await run_middleware(req), ['next', { params: { id: 7 }, query: { page: 3 }, headers: { 'x-api-key': 'key' }, body: { name: 'a', qty: 1 } }]);
+	equals(req.body, { name: 'a', qty: 1 });
+	equals(await run_middleware({ ...req, params: { id: 'x' } }), ['sent', 400, [400, [['params', '#/id', 'expected_type']]]]);
+	// Without a body parser, the body is read from the request
+	let stream = (text) => Object.assign(Readable.from([Buffer.from(text)]), { url: req.url, headers: req.headers, params: req.params });
+	equals((await run_middleware(stream('{"name":"b","qty":2}')))[1].body, { name: 'b', qty: 2 });
+	equals(await run_middleware(stream('{"name":"b","qty":"2"}')), ['sent', 400, [400, [['body', '#/qty', 'expected_type']]]]);
+	let broken = Object.assign(Readable.from((async function* () { throw new Error('reset'); })()), { url: '/', headers: {} });
+	equals((await run_middleware(broken))[0], 'error');
+
+	// Node handlers answer errors reading the request or in the handler with a problem, or close the response
+	let failing = async (listener, req) => {
+		let res = node_response();
+		await listener(req, res);
+		return [res.statusCode, res.destroyed ?? JSON.parse(res.sent.join('')).detail];
+	};
+	let throwing = (req, res) => {
+		if (req.url === '/sent')
+			res.write('{"id":');
+		throw new Error('handler');
+	};
+	equals(await failing(nodeHandler(schemata, () => {}), Object.assign(Readable.from((async function* () { throw new Error('reset'); })()), { url: '/', headers: {} })), [500, 'The request could not be handled']);
+	equals(await failing(nodeHandler({}, throwing), { url: '/', headers: {} }), [500, 'The request could not be handled']);
+	equals(await failing(nodeHandler({}, throwing), { url: '/sent', headers: {} }), [200, 'handler']);
+	// What a checked response held back is dropped
+	equals(await failing(nodeHandler({ response: schemata.response }, throwing, { validateResponses: true }), { url: '/sent', headers: {} }), [500, 'The request could not be handled']);
+
+	// Fetch API handlers, called directly
+	let fetched = [];
+	let fetch_handler = fetchHandler(schemata, async (request, value, context) => {
+		fetched.push([value, context.user]);
+		return Response.json(request.url.endsWith('bad') ? { id: 'x' } : { id: value.params.id, name: value.body.name });
+	}, { validateResponses: true });
+	let request = (path, body) => new Request(`http://example.com${path}`, { method: 'POST', body, headers: { 'x-api-key': 'key' } });
+	let response = await fetch_handler(request('/items/7?tag=a', '{"name":"a","qty":1}'), { params: Promise.resolve({ id: '7' }), user: 'u' });
+	equals([response.status, await response.json()], [200, { id: 7, name: 'a' }]);
+	equals(fetched, [[{ params: { id: 7 }, query: { tag: ['a'], page: 1 }, headers: { 'x-api-key': 'key' }, body: { name: 'a', qty: 1 } }, 'u']]);
+	response = await fetch_handler(request('/bad', '{"name":"a","qty":1}'), { params: { id: 7 } });
+	equals([response.status, response.headers.get('content-type'), summary(await response.json())], [500, 'application/problem+json', [500, [['response', '#/id', 'expected_type'], ['response', '#/name', 'missing_property']]]]);
+	response = await fetch_handler(request('/', '{"name":"a","qty":11}'));
+	equals(summary(await response.json()), [400, [['params', '#/id', 'missing_property'], ['body', '#/qty', 'out_of_range']]]);
+	response = await fetchHandler({ body: schemata.body }, () => Response.json({}), { maxBodySize: 10 })(request('/', '{"name":"a","qty":1}'));
+	equals(response.status, 413);
+	equals(fetched.length, 2);
+}
+
+// Forms
+{
+	let checked = [];
+	let sku = (v) => { checked.push(v); return /^[a-z]+$/.test(v) || 'Invalid SKU'; };
+	let same = (v) => { checked.push('same'); return v.password === v.confirm || 'Passwords differ'; };
+	let schema = and(object({ name: string, password: and(string, length(3, 20)), confirm: string, items: [{ sku, qty: range(1, 10) }] }, { age: integer }), same);
+	let shown = (form, path) => form.errors(path).map(({ path, code }) => [toJSONPointer(path), code]);
+	let form = formState(schema, { password: 'secret', confirm: '', items: [{ sku: 'a', qty: 1 }] });
+	equals(checked, ['a']);
+	// Nothing is shown before it is touched
+	equals([form.valid, shown(form)], [false, []]);
+	form.touch('/confirm');
+	equals([form.isTouched(['confirm']), form.isTouched('/password'), shown(form)], [true, false, []]);
+	// Errors of the objects containing a touched field are shown as well
+	form.set('/name', 'Ann');
+	equals([form.value.name, shown(form)], ['Ann', [['', 'custom']]]);
+	equals(form.errors('')[0].message, 'Passwords differ');
+	equals(shown(form, '/confirm'), []);
+	// Only the changed field is validated, and the cross-field rules of and() checked again
+	checked = [];
+	let before = form.value;
+	form.set(['confirm'], 'secret');
+	equals([form.valid, shown(form), checked], [true, [], ['same']]);
+	equals([before.confirm, before === form.value, before.items === form.value.items], ['', false, true]);
+	checked = [];
+	form.set('/items/0/sku', 'B');
+	equals([shown(form), checked], [[['/items/0/sku', 'custom']], ['B']]);
+	// and() skips the rules after a failing schema
+	form.set('/confirm', 'other');
+	equals([shown(form), checked], [[['/items/0/sku', 'custom']], ['B']]);
+	checked = [];
+	form.set('/age', 'x');
+	equals([shown(form), checked], [[['/items/0/sku', 'custom'], ['/age', 'expected_type']], []]);
+	form.set('/age', undefined);
+	form.set('/items/0/sku', 'b');
+	equals([shown(form), checked, 'age' in form.value], [[['', 'custom']], ['b', 'same'], false]);
+	// Adding a required property or an array element validates the object or array
+	checked = [];
+	form.set('/items/1', { sku: 'c', qty: 20 });
+	equals([shown(form, '/items/1/qty'), checked], [[['/items/1/qty', 'out_of_range']], ['b', 'c']]);
+	form.set('/items/0', undefined);
+	equals([form.value.items, shown(form, '/items/0/qty'), form.isTouched('/items/1'), form.isTouched('/items/0')], [[{ sku: 'c', qty: 20 }], [['/items/0/qty', 'out_of_range']], false, true]);
+	raises(() => form.set('/items/5', {}));
+	raises(() => form.set('items', 1));
+	// Submitting shows all errors
+	form.reset();
+	equals([form.value.name, form.valid, shown(form)], [undefined, false, []]);
+	equals(form.submit().map(({ path, code }) => [toJSONPointer(path), code]), [['/name', 'missing_property']]);
+	equals(shown(form), [['/name', 'missing_property']]);
+	form.set('/name', 'Bob');
+	form.set('/confirm', 'secret');
+	equals(form.submit(), true);
+	form.reset({});
+	equals(form.submit().length, 4);
+	equals(formState({ tags: [string] }, {}, { messages: (code) => code }).submit()[0].message, 'missing_property');
+
+	// The errors stay those of validating the whole draft
+	let base = object({ name: string, items: [{ sku: /^[a-z]+$/, qty: range(1, 10) }], kind: union('type', { a: { type: 'a', x: integer }, b: { type: 'b', y: string } }) }, { age: integer, tags: map(/^[a-z]$/, string) });
+	schema = and(base, when({ age: range(0, 17) }, { name: /^kid/ }, true), and_all((v) => v.name !== 'admin', object({}, {}, 0, 4)));
+	let fields = [['name'], ['age'], ['items', 0], ['items', 0, 'qty'], ['kind'], ['kind', 'x'], ['kind', 'type'], ['tags', 'q'], ['extra']];
+	let key = (errors) => errors === true ? [] : errors.map(({ path, code }) => `${toJSONPointer(path)} ${code}`).sort();
+	for (let seed = 0; seed < 20; seed++) {
+		let form = formState(schema, generate(base, { seed }));
+		form.touch([]);
+		for (let step = 0; step < 6; step++) {
+			let other = generate(base, { seed: seed * 10 + step });
+			let field = fields[(seed * 7 + step * 3) % fields.length];
+			form.set(field, [undefined, 'kid', 5, 'admin', field.reduce((value, key) => value?.[key], other)][(seed + step) % 5]);
+			equals(key(form.errors()), key(validateJSON(schema, form.value, { errorFormat: 'list' })));
+		}
+	}
+	// Including the values of map(), with errors of their own schema
+	schema = map(string, { v: integer });
+	form = formState(schema, { k: { v: 1 } });
+	form.touch([]);
+	for (let [path, value] of [[['k', 'x'], 1], [['k', 'y'], 2], [['k', 'v'], 'a'], [['k', 'x'], undefined], [['k', 'y'], undefined], [['l'], {}], [['k', 'v'], 2], [['l', 'v'], 3]]) {
+		form.set(path, value);
+		equals(key(form.errors()), key(validateJSON(schema, form.value, { errorFormat: 'list' })));
+	}
+	equals(form.valid, true);
+}
+
+// Generated values
+{
+	// Generated values match, and mutated ones don't
+	let trimmed = and(string, (s) => s === s.trim());
+	let person = { userid: /^[a-z]+/, name: trimmed, age: or(null, and(integer, (age) => age >= 0 && age < 150)), hobbies: [trimmed] };
+	generated(person);
+	generated({ supervisor: or(null, person), members: [person, 0, 3] });
+	generated(object({ name: length(1, 20), email: formats.email }, { age: range(0, 150, { exclusive: true }), tags: [/^[a-z]+$/, 1, 5], score: multiple_of(0.1) }, 1, 2));
+	generated(plain_object({ id: formats.uuid }, { at: formats['date-time'] }));
+	generated(tuple(string, [integer, 1, 2], or(true, 'x', null), one_of(1, 'a')));
+	generated(map(/^[a-z]{2}$/, or(formats.ipv4, formats.ipv6, formats.hostname), 2, 3));
+	generated(union('type', { circle: { type: 'circle', radius: number }, square: partial_object({ size: number }) }));
+	generated(and([one_of(1, 2, 3, 4)], unique(), non_empty));
+	generated(/^(?:[A-Z]{2}-\d{3,5}|foo(bar)?|[^\s,]+\.json)$/);
+	generated(and_all(object({ item: string }, { billing: string, vat_id: string, phone: string, fax: string }), dependent_required({ billing: ['vat_id'] }), mutually_exclusive('phone', 'fax')));
+	generated(when(partial_object({ kind: 'shipped' }), { kind: 'shipped', at: formats.date }, { kind: or('new', 'paid') }));
+	generated({ any: array, obj: object, b: boolean, n: number, d: with_default(formats.time, '12:00:00Z'), v: formats.semver, data: formats.base64, link: formats.uri });
+
+	// Recursive schemata end
+	let comment = lazy(() => object({ text: string }, { replies: [comment] }));
+	generated(comment);
+	let list = lazy(() => or({ head: integer, tail: list }, null));
+	generated(list);
+	let menu = lazy(() => ({ title: string, items: [item] }));
+	let item = lazy(() => or(menu, string));
+	generated(menu);
+	let endless = lazy(() => ({ next: endless }));
+	raises(() => generate(endless));
+
+	// The same seed gives the same value
+	equals(generate(person, { seed: 42 }), generate(person, { seed: 42 }));
+	equals(JSON.stringify(generate(person, { seed: 1 })) !== JSON.stringify(generate(person, { seed: 2 })), true);
+	equals([generate(1), generate('a'), generate(null), generate(or(true))], [1, 'a', null, true]);
+
+	// Custom functions need a generator, and so do regular expressions we don't understand
+	let even = (n) => integer(n) && n % 2 === 0;
+	raises(() => generate(even));
+	let generators = new Map([[even, (random) => 2 * Math.floor(random() * 10)]]);
+	equals(generate([even, 3, 3], { generators }).every(even), true);
+	generated({ a: even, b: [even] }, { generators });
+	raises(() => generate(/^(a)\1$/));
+	let repeated = /^(a)\1$/;
+	equals(generate(repeated, { generators: new Map([[repeated, () => 'aa']]) }), 'aa');
+	raises(() => generate(repeated, { generators: new Map([[repeated, () => 'ab']]) }));
+	raises(() => generate(and(integer, string)));
+
+	// Mutations say what they changed
+	let mutation = mutate({ name: string }, { name: 'Ann' }, { seed: 3 });
+	equals(validateJSON({ name: string }, mutation.value) !== true, true);
+	equals(mutation.errors.length > 0 && ['replace', 'remove', 'add'].includes(mutation.change), true);
+	equals(mutate([integer], [1, 2], { seed: 3 }), mutate([integer], [1, 2], { seed: 3 }));
+	equals(mutate({ a: 1 }, { a: 1 }, { unknown: 'strip' }).change !== 'add', true);
+	raises(() => mutate({ name: string }, { name: 1 }));
+	raises(() => mutate(() => true, 1));
+	let proto = JSON.parse('{ "__proto__": 1 }');
+	let mutated = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9].map((seed) => mutate({ ['__proto__']: 1, x: string }, { ...proto, x: 'a' }, { seed }).value).filter((value) => object(value));
+	equals(mutated.length > 0 && mutated.every((value) => Object.getPrototypeOf(value) === Object.prototype), true);
+}
+
 // Report errors and successes, then exit.
 finish_tests();
@@ -1,5 +1,5 @@
 
-import validateJSON from './validate.mjs';
+import validateJSON, { compile, generate, mutate } from './validate.mjs';
 
 // Unless you'd like to download 300+ packages for jest, we'll just include a simple testing harness
 
@@ -13,6 +13,24 @@ function arrays_equal(a, b) {
 	return true;
 }
 
+// Compiled schemata must return exactly what validateJSON returns
+function results_equal(a, b) {
+	if (a === true || b === true)
+		return a === b;
+	let keys = Object.keys(a);
+	if (!arrays_equal(keys, Object.keys(b)))
+		return false;
+	return keys.every((key) => a[key] === b[key]);
+}
+
+function validate(schema, value) {
+	let res = validateJSON(schema, value);
+	let compiled_res = compile(schema)(value);
+	if (!results_equal(res, compiled_res))
+		error(schema, value, res, compiled_res);
+	return res;
+}
+
 let tests = 0;
 let errors = 0;
 function error(schema, value, expected, result) {
@@ -22,7 +40,7 @@ function error(schema, value, expected, result) {
 
 export function match(schema, value) {
 	tests++;
-	let res = validateJSON(schema, value);
+	let res = validate(schema, value);
 	if (res !== true) {
 		error(schema, value, true, res);
 	}
@@ -30,7 +48,7 @@ export function match(schema, value) {
 
 export function fail(schema, value, expected = false) {
 	tests++;
-	let res = validateJSON(schema, value);
+	let res = validate(schema, value);
 
 	if (expected === false) {
 		if (res === true)
@@ -43,17 +61,64 @@ export function fail(schema, value, expected = false) {
 		error(schema, value, expected, res);
 }
 
+// Generates values for the schema, which must match, and changes each of them, which must then fail
+export function generated(schema, options = {}, seeds = 20) {
+	for (let seed = 0; seed < seeds; seed++) {
+		tests++;
+		let value = generate(schema, { ...options, seed });
+		let res = validate(schema, value);
+		if (res !== true) {
+			error(schema, value, true, res);
+			continue;
+		}
+		let mutation = mutate(schema, value, { seed });
+		if (validate(schema, mutation.value) === true)
+			error(schema, mutation.value, false, true);
+	}
+}
+
 export function throws(schema, value) {
+	tests++;
+	for (let run of [validateJSON, (schema, value) => compile(schema)(value)]) {
+		try {
+			let res = run(schema, value)
+			error(schema, value, 'throws', res);
+		}
+		catch (e) {
+			// throws as expected
+		}
+	}
+}
+
+// For everything that isn't a validation result
+export function equals(actual, expected) {
+	tests++;
+	if (JSON.stringify(actual) !== JSON.stringify(expected))
+		error('equals', actual, expected, JSON.stringify(actual));
+}
+
+export function raises(fn) {
 	tests++;
 	try {
-		let res = validateJSON(schema, value)
-		error(schema, value, 'throws', res);
+		let res = fn();
+		error(fn, undefined, 'throws', res);
 	}
 	catch (e) {
 		// throws as expected
 	}
 }
 
+export async function rejects(promise) {
+	tests++;
+	try {
+		let res = await promise;
+		error(promise, undefined, 'rejects', res);
+	}
+	catch (e) {
+		// rejects as expected
+	}
+}
+
 export function finish_tests() {
 	// Report results
 	if (errors > 0) {
@@ -0,0 +1,70 @@
+/**
+ * Type-level tests for Infer and the type guard of validateJSON. This file is only type-checked, never run.
+ * Each assertion fails to compile if the inferred type differs from the expected one.
+ */
+
+import validateJSON, { Infer, Schema, Literal, ErrorMap, ValidationError, string, integer, number, boolean, object, plain_object, tuple, map, or, and, with_default } from './validate';
+
+type Eq<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+function assert<T extends true>(): void {}
+// Infers from a schema passed directly, keeping literal types like the combinators do
+declare function infer<S extends Schema<L>, L extends Literal>(schema: S): Infer<S>;
+
+// Basic types and literals
+assert<Eq<Infer<typeof string>, string>>();
+assert<Eq<Infer<typeof integer>, number>>();
+assert<Eq<Infer<RegExp>, string>>();
+assert<Eq<Infer<null>, null>>();
+let blue = infer('blue');
+assert<Eq<typeof blue, 'blue'>>();
+let answer = infer(42);
+assert<Eq<typeof answer, 42>>();
+
+// Custom functions without a type guard
+assert<Eq<Infer<(v: any) => boolean>, unknown>>();
+let even = (v: unknown): v is number => number(v) && v % 2 === 0;
+assert<Eq<Infer<typeof even>, number>>();
+
+// Objects and arrays by example
+let person = infer({ name: string, age: integer, eyes: 'blue', tags: [string] });
+assert<Eq<typeof person, { name: string, age: number, eyes: 'blue', tags: string[] }>>();
+let sized = infer([integer, 1, 3]);
+assert<Eq<typeof sized, number[]>>();
+let nested = infer({ list: [{ ok: boolean }] });
+assert<Eq<typeof nested, { list: { ok: boolean }[] }>>();
+
+// object() with required and optional properties
+let with_optional = object({ id: integer }, { note: string });
+assert<Eq<Infer<typeof with_optional>, { id: number, note?: string }>>();
+let without_optional = object({ id: integer }, null);
+assert<Eq<Infer<typeof without_optional>, { id: number }>>();
+let plain_without_optional = plain_object({ id: integer }, null);
+assert<Eq<Infer<typeof plain_without_optional>, { id: number }>>();
+assert<Eq<Infer<typeof object>, Record<string, unknown>>>();
+
+// tuple(), map(), or() and and()
+let pair = tuple(string, integer);
+assert<Eq<Infer<typeof pair>, [string, number]>>();
+let counts = map(string, integer);
+assert<Eq<Infer<typeof counts>, Record<string, number>>>();
+let id = or(string, integer);
+assert<Eq<Infer<typeof id>, string | number>>();
+let state = or('on', 'off');
+assert<Eq<Infer<typeof state>, 'on' | 'off'>>();
+let both = and({ a: integer }, { b: string });
+assert<Eq<Infer<typeof both>, { a: number } & { b: string }>>();
+let defaulted = with_default(integer, 0);
+assert<Eq<Infer<typeof defaulted>, number>>();
+
+// validateJSON narrows the value when given options.errors, and returns errors otherwise
+declare let value: unknown;
+let errors: ErrorMap = {};
+let point = { x: number, y: number };
+if (validateJSON(point, value, { errors })) {
+	let narrowed = value;
+	assert<Eq<typeof narrowed, { x: number, y: number }>>();
+}
+let result = validateJSON(point, value);
+assert<Eq<typeof result, true | ErrorMap>>();
+let list = validateJSON(point, value, { errorFormat: 'list' });
+assert<Eq<typeof list, true | ValidationError[]>>();
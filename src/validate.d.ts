@@ -3,39 +3,567 @@
  */
 export declare type ErrorMap = Record<string, string>;
 export declare type ValidatorResult = boolean | string | ErrorMap;
-export declare type Validator = (v: any) => ValidatorResult;
-export declare type Schema = Validator | // custom functions
+export declare type Validator = (v: any) => ValidatorResult | PromiseLike<ValidatorResult>;
+export declare type Literal = null | string | number | boolean;
+export declare type Schema<L extends Literal = Literal> = Validator | // custom functions
 RegExp | // validates strings
-null | string | number | boolean | // compare against primitive values
-Schema[] | // a tuple
-[
-    Schema
-] | [Schema, number] | [Schema, number, number] | // an array, optionally with min and max length
+L | // compare against primitive values
+readonly [] | readonly Schema<L>[] | // an array, optionally with min and max length, e.g. [Schema] or [Schema, number, number]
 {
-    [key: string]: Schema;
+    readonly [key: string]: Schema<L>;
+};
+declare const validated_type: unique symbol;
+export declare type TypedValidator<T> = Validator & {
+    readonly [validated_type]?: T;
 };
+/**
+ * The type of the values matching a schema, e.g. Infer<typeof person_schema>
+ */
+export declare type Infer<S> = S extends (v: any) => v is infer T ? T : S extends Validator ? (S extends TypedValidator<infer T> ? T : unknown) : S extends RegExp ? string : S extends Literal ? S : S extends readonly (infer Items)[] ? (S extends readonly [infer First, ...unknown[]] ? Infer<First>[] : Infer<Items>[]) : {
+    -readonly [K in keyof S]: Infer<S[K]>;
+};
+declare type InferAll<S extends readonly unknown[]> = S extends readonly [infer First, ...infer Rest] ? Infer<First> & InferAll<Rest> : unknown;
+declare type InferObject<Required, Optional> = Simplify<{
+    -readonly [K in keyof Required]: Infer<Required[K]>;
+} & {
+    -readonly [K in keyof Optional]?: Infer<Optional[K]>;
+}>;
+declare type Simplify<T> = {
+    [K in keyof T]: T[K];
+};
+export interface ValidateOptions {
+    errors?: ErrorMap;
+    messages?: MessageFormatter;
+    errorFormat?: 'map' | 'list';
+    unknown?: 'fail' | 'strip' | 'report-all';
+    maxDepth?: number;
+    orErrors?: 'none' | 'best' | 'all';
+    hardened?: boolean | HardenedOptions;
+}
+export interface HardenedOptions {
+    maxNesting?: number;
+    maxProperties?: number;
+    maxArrayLength?: number;
+    maxStringLength?: number;
+    maxValues?: number;
+    forbiddenKeys?: string[];
+}
+export declare type PathSegment = string | number;
+export interface ValidationError {
+    path: PathSegment[];
+    code: ErrorCode | 'custom';
+    params: ErrorParams;
+    value: unknown;
+    schema: Schema;
+    message: string;
+}
+export declare type ErrorCode = 'expected_type' | 'unexpected_property' | 'missing_property' | 'array_length' | 'regexp_mismatch' | 'literal_mismatch' | 'no_variant_matched' | 'unknown_tag' | 'optional_count' | 'map_entries' | 'max_depth' | 'out_of_range' | 'multiple_of' | 'string_length' | 'empty' | 'not_one_of' | 'duplicate_item' | 'dependent_required' | 'mutually_exclusive' | 'limit_exceeded' | 'forbidden_property' | 'path_not_allowed' | 'missing_target' | 'test_failed' | 'invalid_patch' | 'format' | 'variant_count' | 'excluded_match' | 'invalid';
+export declare type ErrorParams = Record<string, any>;
+export declare type MessageFormatter = (code: ErrorCode, params: ErrorParams) => string;
+export declare type MessageCatalog = Record<ErrorCode, string | ((params: ErrorParams) => string)>;
+export declare const englishMessages: MessageCatalog;
+/**
+ * Creates a message formatter from a catalog of messages, e.g. a translation.
+ *
+ * @param {object} catalog messages keyed by error code, missing ones are taken from fallback
+ * @param {object} fallback defaults to englishMessages
+ * @returns {function} a formatter for options.messages
+ */
+export declare function messageFormatter(catalog: Partial<MessageCatalog>, fallback?: MessageCatalog): MessageFormatter;
 /**
  * Validates a value against a schema.
  *
+ * When options.errors is given, the errors are added to that object, and a boolean is returned instead.
+ * In TypeScript, this will narrow the type of value to Infer<typeof schema>.
+ *
  * @param {any} schema
  * @param {any} value
- * @returns {true|object} true if value matches the schema, otherwise an object with error messages keyed by path
+ * @param {object} options
+ * @returns {true|object|array|boolean} true if value matches the schema, otherwise an object with error messages keyed by path, or a list of errors
  * @throws if the schema is invalid or the schema throws
  */
-export default function validateJSON(schema: Schema, value: any): true | ErrorMap;
+export default function validateJSON<S extends Schema<L>, L extends Literal>(schema: S, value: unknown, options: ValidateOptions & {
+    errors: ErrorMap;
+}): value is Infer<S>;
+export default function validateJSON(schema: Schema, value: unknown, options: ValidateOptions & {
+    errorFormat: 'list';
+}): true | ValidationError[];
+export default function validateJSON(schema: Schema, value: unknown, options?: ValidateOptions & {
+    errorFormat?: 'map';
+}): true | ErrorMap;
+/**
+ * Checks a schema once and turns it into a function validating values against it.
+ *
+ * Use this when validating many values against the same schema. The results are identical to validateJSON().
+ *
+ * @param {any} schema
+ * @param {object} options see validateJSON(), except for errors
+ * @returns {function} a function taking a value and returning the same as validateJSON()
+ * @throws if the schema is invalid
+ */
+export declare function compile(schema: Schema, options: Omit<ValidateOptions, 'errors'> & {
+    errorFormat: 'list';
+}): (value: any) => true | ValidationError[];
+export declare function compile(schema: Schema, options?: Omit<ValidateOptions, 'errors'> & {
+    errorFormat?: 'map';
+}): (value: any) => true | ErrorMap;
+export interface AsyncValidateOptions extends ValidateOptions {
+    concurrency?: number;
+    signal?: AbortSignal;
+}
+/**
+ * Validates a value against a schema, where custom functions may return a promise of their result.
+ *
+ * Otherwise the same as validateJSON(). Elements of arrays, tuples, maps and objects, as well as the schemata of and_all(),
+ * are validated concurrently. and() still waits for each schema to succeed before trying the next one, and or() stops at the first match.
+ *
+ * @param {any} schema
+ * @param {any} value
+ * @param {object} options see validateJSON(), plus concurrency and signal
+ * @returns {Promise} a promise of what validateJSON() would return
+ * @throws if the schema is invalid, which rejects the promise, as does a schema throwing or rejecting, or options.signal aborting
+ */
+export declare function validateAsync(schema: Schema, value: unknown, options: AsyncValidateOptions & {
+    errors: ErrorMap;
+}): Promise<boolean>;
+export declare function validateAsync(schema: Schema, value: unknown, options: AsyncValidateOptions & {
+    errorFormat: 'list';
+}): Promise<true | ValidationError[]>;
+export declare function validateAsync(schema: Schema, value: unknown, options?: AsyncValidateOptions & {
+    errorFormat?: 'map';
+}): Promise<true | ErrorMap>;
+export interface ParseOptions extends Omit<ValidateOptions, 'errors'> {
+    coerce?: boolean;
+}
+export declare type ParseResult<T, E> = {
+    value: T;
+    errors: null;
+} | {
+    value: unknown;
+    errors: E;
+};
+/**
+ * Validates a value like validateJSON(), and returns a copy of it. The value itself is never modified.
+ *
+ * With options.unknown = 'strip', the copy does not contain unknown properties. With options.coerce, see coerce().
+ *
+ * @param {any} schema
+ * @param {any} value
+ * @param {object} options see validateJSON(), except for errors
+ * @returns {object} { value, errors }, where errors is null if the copy matches the schema
+ * @throws if the schema is invalid or the schema throws
+ */
+export declare function parse<S extends Schema<L>, L extends Literal>(schema: S, value: unknown, options: ParseOptions & {
+    errorFormat: 'list';
+}): ParseResult<Infer<S>, ValidationError[]>;
+export declare function parse<S extends Schema<L>, L extends Literal>(schema: S, value: unknown, options?: ParseOptions & {
+    errorFormat?: 'map';
+}): ParseResult<Infer<S>, ErrorMap>;
+/**
+ * Like parse(), but converts the value to fit the schema where possible, e.g. for query strings or form data.
+ *
+ * Strings are converted to numbers and booleans, single values are wrapped into arrays, and missing optional properties
+ * declared with with_default() are filled in.
+ *
+ * @param {any} schema
+ * @param {any} value
+ * @param {object} options see validateJSON(), except for errors
+ * @returns {object} { value, errors }, where errors is null if the converted value matches the schema
+ * @throws if the schema is invalid or the schema throws
+ */
+export declare function coerce<S extends Schema<L>, L extends Literal>(schema: S, value: unknown, options: Omit<ParseOptions, 'coerce'> & {
+    errorFormat: 'list';
+}): ParseResult<Infer<S>, ValidationError[]>;
+export declare function coerce<S extends Schema<L>, L extends Literal>(schema: S, value: unknown, options?: Omit<ParseOptions, 'coerce'> & {
+    errorFormat?: 'map';
+}): ParseResult<Infer<S>, ErrorMap>;
+declare type Description = {
+    kind: 'object' | 'plain_object';
+    required: Record<string, Schema>;
+    optional: Record<string, Schema>;
+    min: number;
+    max: number;
+} | {
+    kind: 'partial_object';
+    properties: Record<string, Schema>;
+} | {
+    kind: 'tuple' | 'and' | 'and_all' | 'or';
+    schemata: Schema[];
+} | {
+    kind: 'union';
+    tag: string;
+    variants: Record<string, Schema>;
+} | {
+    kind: 'map';
+    key: Schema;
+    value: Schema;
+    min: number;
+    max: number;
+} | {
+    kind: 'default';
+    schema: Schema;
+    default: unknown;
+} | {
+    kind: 'lazy';
+    schema: () => Schema;
+} | {
+    kind: 'range';
+    min: number;
+    max: number;
+    exclusive: boolean | 'min' | 'max';
+} | {
+    kind: 'multiple_of';
+    factor: number;
+} | {
+    kind: 'length';
+    min: number;
+    max: number;
+} | {
+    kind: 'non_empty';
+} | {
+    kind: 'one_of';
+    values: Literal[];
+} | {
+    kind: 'unique';
+    equal: ((a: any, b: any) => boolean) | null;
+} | {
+    kind: 'dependent_required';
+    dependencies: Record<string, readonly string[]>;
+} | {
+    kind: 'mutually_exclusive';
+    properties: string[];
+} | {
+    kind: 'when';
+    condition: Schema;
+    then_schema: Schema;
+    else_schema: Schema | null;
+} | {
+    kind: 'custom';
+    validator: Validator;
+};
+/**
+ * Turns a path from a ValidationError into a JSON Pointer (RFC 6901), e.g. /foo/3/bar
+ *
+ * @param {array} path
+ * @returns {string}
+ */
+export declare function toJSONPointer(path: PathSegment[]): string;
+/**
+ * Turns a path from a ValidationError into javascript, e.g. .foo[3]["bar.baz"]
+ *
+ * @param {array} path
+ * @returns {string}
+ */
+export declare function toJSPath(path: PathSegment[]): string;
 export declare function boolean(v: unknown): v is boolean;
 export declare function number(v: unknown): v is number;
 export declare function integer(v: unknown): v is number;
 export declare function string(v: unknown): v is string;
 export declare function array(v: unknown): v is Array<unknown>;
 export declare function plain_array(v: unknown): v is Array<unknown>;
+export declare function object<R extends Record<string, Schema<L>>, L extends Literal>(required_properties: R, optional_properties: null, min_optional_properties?: number, max_optional_properties?: number): TypedValidator<InferObject<R, {}>>;
+export declare function object<R extends Record<string, Schema<L>>, O extends Record<string, Schema<L>>, L extends Literal>(required_properties: R, optional_properties: O | null, min_optional_properties?: number, max_optional_properties?: number): TypedValidator<InferObject<R, O>>;
 export declare function object(v: unknown): v is Record<string, unknown>;
-export declare function object(required_properties: Record<string, Schema>, optional_properties: Record<string, Schema> | null, min_optional_properties?: number, max_optional_properties?: number): Validator;
+export declare function plain_object<R extends Record<string, Schema<L>>, L extends Literal>(required_properties: R, optional_properties: null, min_optional_properties?: number, max_optional_properties?: number): TypedValidator<InferObject<R, {}>>;
+export declare function plain_object<R extends Record<string, Schema<L>>, O extends Record<string, Schema<L>>, L extends Literal>(required_properties: R, optional_properties: O | null, min_optional_properties?: number, max_optional_properties?: number): TypedValidator<InferObject<R, O>>;
 export declare function plain_object(v: unknown): v is Record<string, unknown>;
-export declare function plain_object(required_properties: Record<string, Schema>, optional_properties: Record<string, Schema> | null, min_optional_properties?: number, max_optional_properties?: number): Validator;
-export declare function partial_object(properties: Record<string, Schema>): Validator;
-export declare function tuple(...schemata: Schema[]): Validator;
-export declare function map(key_schema: Schema, value_schema: Schema, min_entries?: number, max_entries?: number): Validator;
-export declare function and(...schemata: Schema[]): Validator;
-export declare function and_all(...schemata: Schema[]): Validator;
-export declare function or(...schemata: Schema[]): Validator;
+export declare function partial_object<P extends Record<string, Schema<L>>, L extends Literal>(properties: P): TypedValidator<InferObject<P, {}> & Record<string, unknown>>;
+export declare function tuple<S extends Schema<L>[], L extends Literal>(...schemata: S): TypedValidator<{
+    -readonly [K in keyof S]: Infer<S[K]>;
+}>;
+export declare function map<V extends Schema<L>, L extends Literal>(key_schema: Schema, value_schema: V, min_entries?: number, max_entries?: number): TypedValidator<Record<string, Infer<V>>>;
+export declare function and<S extends Schema<L>[], L extends Literal>(...schemata: S): TypedValidator<InferAll<S>>;
+export declare function and_all<S extends Schema<L>[], L extends Literal>(...schemata: S): TypedValidator<InferAll<S>>;
+export declare function or<S extends Schema<L>[], L extends Literal>(...schemata: S): TypedValidator<Infer<S[number]>>;
+export declare function union<V extends Record<string, Schema<L>>, L extends Literal>(tag: string, variants: V): TypedValidator<{
+    [K in keyof V]: Infer<V[K]>;
+}[keyof V]>;
+export declare function with_default<S extends Schema<L>, L extends Literal>(schema: S, default_value: Infer<S>): TypedValidator<Infer<S>>;
+export declare function lazy<T = unknown>(get_schema: () => Schema): TypedValidator<T>;
+export declare type ObjectSchema<L extends Literal = Literal> = {
+    readonly [key: string]: Schema<L>;
+} | TypedValidator<Record<string, unknown>>;
+export declare function extend<A extends ObjectSchema<L>, B extends ObjectSchema<L>, L extends Literal>(base: A, extra: B): TypedValidator<Simplify<Omit<Infer<A>, keyof Infer<B>> & Infer<B>>>;
+export declare function merge<A extends ObjectSchema<L>, B extends ObjectSchema<L>, L extends Literal>(a: A, b: B): TypedValidator<Simplify<Infer<A> & Infer<B>>>;
+export declare function pick<S extends ObjectSchema<L>, K extends keyof Infer<S> & string, L extends Literal>(schema: S, keys: readonly K[]): TypedValidator<Simplify<Pick<Infer<S>, K>>>;
+export declare function omit<S extends ObjectSchema<L>, K extends keyof Infer<S> & string, L extends Literal>(schema: S, keys: readonly K[]): TypedValidator<Simplify<Omit<Infer<S>, K>>>;
+export declare function partial<S extends ObjectSchema<L>, L extends Literal>(schema: S): TypedValidator<Simplify<Partial<Infer<S>>>>;
+export declare function required<S extends ObjectSchema<L>, L extends Literal>(schema: S): TypedValidator<Simplify<Required<Infer<S>>>>;
+export interface RangeOptions {
+    exclusive?: boolean | 'min' | 'max';
+}
+export declare function range(min: number, max: number, options?: RangeOptions): TypedValidator<number>;
+export declare function multiple_of(factor: number): TypedValidator<number>;
+export declare function length(min: number, max?: number): TypedValidator<string>;
+export declare const non_empty: Validator;
+export declare function one_of<V extends L[], L extends Literal>(...values: V): TypedValidator<V[number]>;
+export declare function unique(equal?: (a: any, b: any) => boolean): TypedValidator<unknown[]>;
+export declare function dependent_required(dependencies: Record<string, readonly string[]>): TypedValidator<Record<string, unknown>>;
+export declare function mutually_exclusive(...properties: string[]): TypedValidator<Record<string, unknown>>;
+export declare function when<T extends Schema<L>, E extends Schema<L>, L extends Literal>(condition: Schema, then_schema: T, else_schema: E): TypedValidator<Infer<T> | Infer<E>>;
+export declare function when(condition: Schema, then_schema: Schema, else_schema?: Schema): Validator;
+declare function format_email(v: unknown): true | string;
+declare function format_hostname(v: unknown): true | string;
+declare function format_ipv4(v: unknown): true | string;
+declare function format_ipv6(v: unknown): true | string;
+declare function format_uri(v: unknown): true | string;
+declare function format_uuid(v: unknown): true | string;
+declare function format_date(v: unknown): true | string;
+declare function format_time(v: unknown): true | string;
+declare function format_date_time(v: unknown): true | string;
+declare function format_base64(v: unknown): true | string;
+declare function format_semver(v: unknown): true | string;
+export declare const formats: Readonly<{
+    email: typeof format_email;
+    hostname: typeof format_hostname;
+    ipv4: typeof format_ipv4;
+    ipv6: typeof format_ipv6;
+    uri: typeof format_uri;
+    uuid: typeof format_uuid;
+    date: typeof format_date;
+    time: typeof format_time;
+    'date-time': typeof format_date_time;
+    base64: typeof format_base64;
+    semver: typeof format_semver;
+}>;
+/**
+ * Makes a custom function available as a format, so it can be shared by name.
+ *
+ * @param {string} name
+ * @param {function} validator
+ * @throws if the name is taken
+ */
+export declare function registerFormat(name: string, validator: Validator): void;
+/**
+ * Returns a format by name, for use in a schema.
+ *
+ * @param {string} name one of the formats, or a name given to registerFormat()
+ * @returns {function} the format's validator
+ * @throws if there is no such format
+ */
+export declare function format(name: string): Validator;
+export interface StreamValidateOptions extends Omit<ValidateOptions, 'errors' | 'errorFormat' | 'hardened'> {
+    maxErrors?: number;
+    onError?: (error: StreamValidationError) => void;
+}
+export interface StreamValidationError extends ValidationError {
+    offset: number;
+}
+export declare type JSONSource = AsyncIterable<string | Uint8Array> | ReadableStream<string | Uint8Array> | Iterable<string | Uint8Array>;
+/**
+ * Validates JSON text while reading it, without parsing the whole document first.
+ *
+ * Arrays by example, objects by example, object() and plain_object() are checked piece by piece, and each element of an
+ * array by example is released once it has been validated. Any other part of the schema gets the whole value it applies to.
+ *
+ * @param {any} schema
+ * @param {AsyncIterable|ReadableStream} source chunks of JSON text, as strings or UTF-8 bytes
+ * @param {object} options
+ * @returns {Promise<true|Array>} true, or a list of ValidationErrors with an additional byte offset
+ * @throws if the schema is invalid, or rejects if the JSON text is
+ */
+export declare function validateStream(schema: Schema, source: JSONSource, options?: StreamValidateOptions): Promise<true | StreamValidationError[]>;
+export interface NDJSONOptions extends Omit<ValidateOptions, 'errors'> {
+    mode?: 'collect' | 'fail-fast';
+    maxCommonPaths?: number;
+}
+export interface NDJSONLineError<E> {
+    line: number;
+    parseError: string | null;
+    errors: E | null;
+}
+export interface NDJSONResult<E> {
+    lines: number;
+    valid: number;
+    invalid: number;
+    errors: NDJSONLineError<E>[];
+    commonPaths: {
+        path: string;
+        count: number;
+    }[];
+}
+/**
+ * Validates each line of newline-delimited JSON text against the same schema. Empty lines are skipped.
+ *
+ * @param {any} schema
+ * @param {AsyncIterable|ReadableStream} source chunks of text, as strings or UTF-8 bytes
+ * @param {object} options
+ * @returns {Promise<object>} the errors of each invalid line, and how many lines were read, valid and invalid
+ * @throws if the schema is invalid
+ */
+export declare function validateNDJSON(schema: Schema, source: JSONSource, options: NDJSONOptions & {
+    errorFormat: 'list';
+}): Promise<NDJSONResult<ValidationError[]>>;
+export declare function validateNDJSON(schema: Schema, source: JSONSource, options?: NDJSONOptions & {
+    errorFormat?: 'map';
+}): Promise<NDJSONResult<ErrorMap>>;
+export declare type SchemaDescription = Description | {
+    kind: 'type';
+    type: 'boolean' | 'number' | 'integer' | 'string' | 'array' | 'object' | 'plain_object';
+} | {
+    kind: 'format';
+    name: string;
+} | {
+    kind: 'custom';
+    validator: Validator;
+} | {
+    kind: 'regexp';
+    pattern: RegExp;
+} | {
+    kind: 'literal';
+    value: Literal;
+} | {
+    kind: 'array_by_example';
+    items: Schema;
+    min: number;
+    max: number;
+} | {
+    kind: 'object_by_example';
+    properties: Record<string, Schema>;
+};
+/**
+ * Returns what a schema consists of: its kind, its child schemata and its parameters.
+ *
+ * @param {any} schema
+ * @returns {object} a description, e.g. { kind: 'map', key: string, value: number, min: 0, max: 10 }
+ * @throws if the schema is invalid
+ */
+export declare function describe(schema: Schema): SchemaDescription;
+export declare type SchemaVisitor = (schema: Schema, description: SchemaDescription, path: PathSegment[]) => boolean | void;
+/**
+ * Visits a schema and all the schemata inside it, parents before their children.
+ *
+ * The path leads from the outermost description to the schema, e.g. ['required', 'name', 'schemata', 0].
+ * The schema a lazy() schema stands for is visited at ['schema'] below it, but only the first time that lazy() schema is reached.
+ *
+ * @param {any} schema
+ * @param {function} visitor called as visitor(schema, description, path)
+ * @throws if the schema is invalid
+ */
+export declare function walkSchema(schema: Schema, visitor: SchemaVisitor): void;
+export declare type Random = () => number;
+export declare type ValueGenerator = (random: Random) => unknown;
+export interface GenerateOptions {
+    seed?: number;
+    generators?: Map<Schema, ValueGenerator>;
+}
+/**
+ * Returns a random value matching a schema, e.g. as test data. The same seed gives the same value.
+ *
+ * Custom functions need a generator in options.generators, except for the formats.
+ *
+ * @param {any} schema
+ * @param {object} options the seed, and generators for parts of the schema
+ * @returns {any} the value
+ * @throws if the schema is invalid, has parts without a generator, or no matching value was found
+ */
+export declare function generate<S extends Schema<L>, L extends Literal>(schema: S, options?: GenerateOptions): Infer<S>;
+export interface MutateOptions extends Omit<ValidateOptions, 'errors' | 'errorFormat' | 'hardened'> {
+    seed?: number;
+}
+export interface Mutation {
+    value: unknown;
+    path: PathSegment[];
+    change: 'replace' | 'remove' | 'add';
+    errors: ValidationError[];
+}
+/**
+ * Changes one part of a value matching a schema, so it no longer matches, e.g. to test that invalid input is rejected.
+ *
+ * A random part of the value is replaced by a value of another type or a slightly different one, or an element or property
+ * is removed or added. Only changes making the value fail are picked.
+ *
+ * @param {any} schema
+ * @param {any} value a value matching the schema
+ * @param {object} options the seed, and the options of validateJSON() to validate with
+ * @returns {object} { value, path, change, errors }
+ * @throws if the schema is invalid, the value doesn't match, or no change makes it fail
+ */
+export declare function mutate(schema: Schema, value: unknown, options?: MutateOptions): Mutation;
+export declare type PatchOptions = Omit<ValidateOptions, 'errors' | 'errorFormat' | 'hardened'>;
+export interface PatchValidationError extends ValidationError {
+    operation: number | null;
+}
+/**
+ * Validates a JSON Patch (RFC 6902) against the schema of the document it applies to, without validating the whole document.
+ *
+ * The operations are applied to a copy of the document. Operations adding values at paths the schema does not allow are
+ * skipped and reported, and each part of the patched document changed by the others is validated against the matching part of the schema.
+ * A patch that cannot be applied, e.g. because of a failing test operation, fails with a single error.
+ *
+ * @param {any} schema the schema of the document
+ * @param {any} document the document before patching, which is not modified
+ * @param {array} patch the operations, e.g. [{ op: 'add', path: '/tags/-', value: 'new' }]
+ * @param {object} options
+ * @returns {true|Array} true, or a list of ValidationErrors with the index of the operation causing them
+ * @throws if the schema is invalid
+ */
+export declare function validatePatch(schema: Schema, document: unknown, patch: unknown, options?: PatchOptions): true | PatchValidationError[];
+/**
+ * Validates a JSON Merge Patch (RFC 7386) against the schema of the document it applies to, without validating the whole document.
+ *
+ * Properties of the patch the schema does not allow are skipped and reported, except those removing a property. Each part of the document changed by the patch is
+ * validated against the matching part of the schema, after merging.
+ *
+ * @param {any} schema the schema of the document
+ * @param {any} document the document before patching, which is not modified
+ * @param {any} patch the changed properties, with null for those to remove
+ * @param {object} options
+ * @returns {true|Array} true, or a list of ValidationErrors, with paths into the patched document
+ * @throws if the schema is invalid
+ */
+export declare function validateMergePatch(schema: Schema, document: unknown, patch: unknown, options?: PatchOptions): true | ValidationError[];
+export declare type FormOptions = Omit<ValidateOptions, 'errors' | 'errorFormat' | 'hardened'>;
+export declare type FieldPath = PathSegment[] | string;
+export interface FormState {
+    readonly value: unknown;
+    readonly valid: boolean;
+    set(path: FieldPath, value: unknown): void;
+    touch(path: FieldPath): void;
+    isTouched(path: FieldPath): boolean;
+    errors(path?: FieldPath): ValidationError[];
+    submit(): true | ValidationError[];
+    reset(value?: unknown): void;
+}
+/**
+ * Keeps the state of a form editing a value: the draft, its errors, and the fields touched by the user.
+ *
+ * Changing a field only validates that field, and the parts of the schema enclosing it which can't be followed to it,
+ * like the cross-field rules of and(), when() or custom functions. Errors are only shown for touched fields, and for the
+ * objects and arrays containing them, so a missing property is not reported before the user got to it.
+ *
+ * @param {any} schema
+ * @param {any} initial the initial draft, which is validated right away
+ * @param {object} options see validateJSON(), except for errors, errorFormat and hardened. Messages default to englishMessages.
+ * @returns {object} the FormState
+ * @throws if the schema is invalid or the schema throws
+ */
+export declare function formState(schema: Schema, initial: unknown, options?: FormOptions): FormState;
+export declare type JSONSchema = {
+    [keyword: string]: any;
+};
+export interface JSONSchemaOptions {
+    untranslatable?: (schema: Schema, pointer: string) => JSONSchema | undefined;
+}
+/**
+ * Converts a schema into a JSON Schema (draft 2020-12) document.
+ *
+ * Custom functions cannot be converted. Unless options.untranslatable provides a replacement, they cause an exception.
+ *
+ * @param {any} schema
+ * @param {object} options
+ * @returns {object} the JSON Schema document
+ * @throws if the schema is invalid or cannot be converted
+ */
+export declare function toJSONSchema(schema: Schema, options?: JSONSchemaOptions): JSONSchema;
+/**
+ * Converts a JSON Schema document into a schema.
+ *
+ * Supports the commonly used validation keywords. Annotations like title or description are ignored.
+ *
+ * @param {object|boolean} document a JSON Schema
+ * @returns {any} a schema
+ * @throws if the document contains unsupported keywords or cannot be converted
+ */
+export declare function fromJSONSchema(document: JSONSchema | boolean): Schema;
+export {};
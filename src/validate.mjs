@@ -2,54 +2,386 @@
  * See README.md for documentation.
  */
 const DEBUG = process.env.NODE_ENV === 'development';
+export const englishMessages = {
+    expected_type: 'Expected {expected}',
+    unexpected_property: 'Unexpected property: {property}',
+    missing_property: 'Missing property {property}',
+    array_length: 'Array not of expected length: {min} <= {length} <= {max}',
+    regexp_mismatch: 'String value does not match regexp',
+    literal_mismatch: ({ expected }) => `Expected ${JSON.stringify(expected)}`,
+    // variants, with orErrors: 'all'
+    no_variant_matched: ({ variants }) => 'or: value does not match any variant' + (variants ? ` (${variants.map(variant_summary).join('; ')})` : ''),
+    unknown_tag: ({ property, expected }) => `Expected ${property} to be one of: ${expected.join(', ')}`,
+    optional_count: 'Wrong number of optional properties: {min} <= {count} <= {max}',
+    map_entries: ({ count, min }) => count < min ? 'Not enough entries in the map' : 'Too many entries in the map',
+    max_depth: 'Value is nested too deeply',
+    out_of_range: ({ min, max, exclusive }) => {
+        let limits = [];
+        if (min > -Infinity)
+            limits.push((exclusive === true || exclusive === 'min' ? '> ' : '>= ') + min);
+        if (max < Infinity)
+            limits.push((exclusive === true || exclusive === 'max' ? '< ' : '<= ') + max);
+        return `Expected a number ${limits.join(' and ')}`;
+    },
+    multiple_of: 'Expected a multiple of {factor}',
+    string_length: ({ length, min, max }) => length < min ? `Expected at least ${min} characters` : `Expected at most ${max} characters`,
+    empty: 'Must not be empty',
+    not_one_of: ({ values }) => `Expected one of ${values.map((value) => JSON.stringify(value)).join(', ')}`,
+    duplicate_item: 'Duplicate of item {index}',
+    dependent_required: 'Missing property {property}, which is required with {dependency}',
+    mutually_exclusive: ({ property, others }) => `${property} cannot be combined with ${others.join(', ')}`,
+    limit_exceeded: ({ limit, max }) => ({
+        maxNesting: `Nested more than ${max} levels deep`,
+        maxProperties: `More than ${max} properties`,
+        maxArrayLength: `More than ${max} elements`,
+        maxStringLength: `Longer than ${max} characters`,
+        maxValues: `More than ${max} values in total`,
+    }[limit]),
+    forbidden_property: 'Forbidden property: {property}',
+    path_not_allowed: 'The schema does not allow this path',
+    missing_target: 'Nothing to patch at this path',
+    test_failed: 'Value differs from the test operation',
+    invalid_patch: 'Invalid patch operation',
+    format: ({ format, reason }) => reason || `Expected ${format}`,
+    variant_count: ({ count }) => count === 0 ? 'oneOf: value does not match any variant' : `oneOf: value matches ${count} variants instead of one`,
+    excluded_match: 'not: value matches the schema',
+    invalid: 'Invalid value',
+};
 /**
- * Validates a value against a schema.
+ * Creates a message formatter from a catalog of messages, e.g. a translation.
  *
- * @param {any} schema
- * @param {any} value
- * @returns {true|object} true if value matches the schema, otherwise an object with error messages keyed by path
- * @throws if the schema is invalid or the schema throws
+ * @param {object} catalog messages keyed by error code, missing ones are taken from fallback
+ * @param {object} fallback defaults to englishMessages
+ * @returns {function} a formatter for options.messages
  */
-export default function validateJSON(schema, value) {
-    // Passing a mutable object around is a bit more efficient than creating and merging objects at each step.
-    // We do not want to complicate the public API, but we'll use this optimization internally.
-    let errors = {};
-    validate2(schema, value, '', errors);
-    if (object_has_a_property(errors))
-        return errors;
+export function messageFormatter(catalog, fallback = englishMessages) {
+    return (code, params) => {
+        let message = catalog[code] ?? fallback[code];
+        if (typeof message === 'function')
+            return message(params);
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => has_own(params, name) ? String(params[name]) : placeholder);
+    };
+}
+// A custom function returning false has always had an empty message, even during development
+const default_messages = DEBUG ? messageFormatter({ ...englishMessages, invalid: '' }) : null;
+export default function validateJSON(schema, value, options = {}) {
+    if (options.errors) {
+        let res = run(compile2(schema, ''), value, { ...options, errorFormat: 'map' });
+        if (res === true)
+            return true;
+        Object.assign(options.errors, res);
+        return false;
+    }
+    return run(compile2(schema, ''), value, options);
+}
+export function compile(schema, options = {}) {
+    let compiled = compile2(schema, '');
+    return (value) => run(compiled, value, options);
+}
+export async function validateAsync(schema, value, options = {}) {
+    let compiled = compile2(schema, '');
+    if (options.errors) {
+        let res = await run_async(compiled, value, { ...options, errorFormat: 'map' });
+        if (res === true)
+            return true;
+        Object.assign(options.errors, res);
+        return false;
+    }
+    return run_async(compiled, value, options);
+}
+export function parse(schema, value, options = {}) {
+    return run_parse(compile2(schema, ''), value, options);
+}
+export function coerce(schema, value, options = {}) {
+    return run_parse(compile2(schema, ''), value, { ...options, coerce: true });
+}
+function new_context(options, copy = false) {
+    return {
+        errors: [],
+        messages: options.messages ?? default_messages,
+        unknown: options.unknown ?? 'fail',
+        copy,
+        coerce: options.coerce ?? false,
+        depth: 0,
+        max_depth: options.maxDepth ?? 1000,
+        or_errors: options.orErrors ?? 'none',
+        async: null,
+        pending: [],
+    };
+}
+// Same options, but separate errors
+function nested_context(context) {
+    let { messages, unknown, copy, coerce, depth, max_depth, or_errors, async } = context;
+    return { errors: [], messages, unknown, copy, coerce, depth, max_depth, or_errors, async, pending: [] };
+}
+// Deals with the properties of an object not declared by the schema, as configured by options.unknown.
+// Returns false if the object should not be checked any further.
+function check_unknown(context, path, value, schema, output, is_known) {
+    for (let prop in value) {
+        if (is_known(prop))
+            continue;
+        switch (context.unknown) {
+            case 'strip':
+                if (output)
+                    delete output[prop];
+                break;
+            case 'report-all':
+                report(context, { parent: path, segment: prop }, value[prop], schema, 'unexpected_property', { property: prop });
+                break;
+            default:
+                report(context, path, value, schema, 'unexpected_property', { property: prop });
+                return false;
+        }
+    }
+    return true;
+}
+function report(context, path, value, schema, code, params = {}) {
+    let message = context.messages ? context.messages(code, params) : '';
+    context.errors.push({ path, subpath: '', code, params, value, schema, message });
+}
+// The provided combinators are registered here. Enclosing schemata call their compiled implementation directly.
+const builtins = new WeakMap();
+function run(compiled, value, options) {
+    let context = new_context(options);
+    if (within_limits(value, options, context))
+        compiled(value, null, context);
+    return errors_of(context, options);
+}
+function run_parse(compiled, value, options) {
+    let context = new_context(options, true);
+    if (!within_limits(value, options, context))
+        return { value, errors: errors_of(context, options) };
+    let output = compiled(value, null, context);
+    let errors = errors_of(context, options);
+    return { value: output, errors: errors === true ? null : errors };
+}
+async function run_async(compiled, value, options) {
+    let { concurrency = Infinity, signal = null } = options;
+    if (!(concurrency >= 1))
+        throw new Error('validateAsync: concurrency must be at least 1');
+    let run = { active: 0, limit: concurrency, queue: [], signal, stopped: false };
+    let context = new_context(options);
+    context.async = run;
+    let on_abort = () => { };
+    let aborted = new Promise((resolve, reject) => {
+        on_abort = () => reject(abort_reason(signal));
+    });
+    signal?.addEventListener('abort', on_abort);
+    try {
+        if (signal?.aborted)
+            throw abort_reason(signal);
+        if (within_limits(value, options, context))
+            compiled(value, null, context);
+        await Promise.race([settle(context), aborted]);
+    }
+    finally {
+        run.stopped = true;
+        signal?.removeEventListener('abort', on_abort);
+    }
+    return errors_of(context, options);
+}
+function abort_reason(signal) {
+    return signal.reason ?? new Error('Validation was aborted');
+}
+const default_limits = {
+    maxNesting: 64,
+    maxProperties: 1000,
+    maxArrayLength: 10000,
+    maxStringLength: 100000,
+    maxValues: 1000000,
+    forbiddenKeys: ['__proto__', 'constructor', 'prototype'],
+};
+// In hardened mode, walks the value without recursion before it's validated, so a hostile value can neither overflow
+// the stack nor keep us busy for long. Reports the first problem found and returns false.
+function within_limits(value, options, context) {
+    if (!options.hardened)
+        return true;
+    let limits = options.hardened === true ? default_limits : { ...default_limits, ...options.hardened };
+    let forbidden = new Set(limits.forbiddenKeys);
+    let exceeded = (path, value, limit) => {
+        report(context, path, value, null, 'limit_exceeded', { limit, max: limits[limit] });
+        return false;
+    };
+    let count = 0;
+    let stack = [[value, null, 0]];
+    while (stack.length > 0) {
+        let [value, path, nesting] = stack.pop();
+        if (++count > limits.maxValues)
+            return exceeded(path, value, 'maxValues');
+        if (string(value)) {
+            if (value.length > limits.maxStringLength)
+                return exceeded(path, value, 'maxStringLength');
+            continue;
+        }
+        if (typeof value !== 'object' || value === null)
+            continue;
+        if (nesting >= limits.maxNesting)
+            return exceeded(path, value, 'maxNesting');
+        if (Array.isArray(value)) {
+            if (value.length > limits.maxArrayLength)
+                return exceeded(path, value, 'maxArrayLength');
+            for (let i = value.length - 1; i >= 0; i--)
+                stack.push([value[i], { parent: path, segment: i }, nesting + 1]);
+            continue;
+        }
+        let keys = Object.keys(value);
+        if (keys.length > limits.maxProperties)
+            return exceeded(path, value, 'maxProperties');
+        for (let key of keys) {
+            if (forbidden.has(key)) {
+                report(context, { parent: path, segment: key }, value[key], null, 'forbidden_property', { property: key });
+                return false;
+            }
+            if (key.length > limits.maxStringLength)
+                return exceeded({ parent: path, segment: key }, key, 'maxStringLength');
+        }
+        // In reverse, so the first property is checked first
+        for (let i = keys.length - 1; i >= 0; i--)
+            stack.push([value[keys[i]], { parent: path, segment: keys[i] }, nesting + 1]);
+    }
     return true;
 }
-function validate2(schema, value, path, errors) {
+// Waits for the asynchronous results, including those started while waiting
+async function settle(context) {
+    while (context.pending.length > 0) {
+        let pending = context.pending;
+        context.pending = [];
+        await Promise.all(pending);
+    }
+}
+function add_pending(context, task) {
+    // settle() reports rejections. If validateAsync() has already thrown, later ones must not become unhandled rejections.
+    task.catch(() => { });
+    context.pending.push(task);
+}
+// Calls a custom function during validateAsync(). At most options.concurrency of the returned promises are awaited at once.
+function call_async(context, path, value, schema) {
+    let run = context.async;
+    let call = () => {
+        if (run.stopped || run.signal?.aborted)
+            return;
+        let result = schema(value);
+        if (!is_thenable(result)) {
+            merge_result(context, path, value, schema, result);
+            return;
+        }
+        run.active++;
+        return Promise.resolve(result).then((result) => merge_result(context, path, value, schema, result)).finally(() => {
+            run.active--;
+            start_queued(run);
+        });
+    };
+    if (run.active < run.limit) {
+        let task = call();
+        if (task)
+            add_pending(context, task);
+        return;
+    }
+    add_pending(context, new Promise((resolve, reject) => {
+        run.queue.push(() => {
+            try {
+                Promise.resolve(call()).then(resolve, reject);
+            }
+            catch (e) {
+                reject(e);
+            }
+        });
+    }));
+}
+function start_queued(run) {
+    while (run.active < run.limit && run.queue.length > 0)
+        run.queue.shift()();
+}
+function is_thenable(v) {
+    return (typeof v === 'object' || typeof v === 'function') && v !== null && typeof v.then === 'function';
+}
+function errors_of(context, options) {
+    if (context.errors.length === 0)
+        return true;
+    if (options.errorFormat === 'list')
+        return context.errors.map(to_validation_error);
+    return to_error_map(context.errors);
+}
+// Returns true if the compiled schema matches, without collecting the errors
+function matches(compiled, value, context) {
+    let nested = nested_context(context);
+    compiled(value, null, nested);
+    return nested.errors.length === 0;
+}
+// Turns a compiled implementation into a Validator, which can be called directly or used as part of another schema.
+function make_validator(description, compiled) {
+    let validator = (value) => {
+        let context = new_context({});
+        compiled(value, null, context);
+        return context.errors.length === 0 || to_error_map(context.errors);
+    };
+    builtins.set(validator, { description, compiled });
+    return validator;
+}
+// A custom function with a compiled implementation, which reports its errors with the options of the enclosing validation
+function make_custom_validator(compiled) {
+    let description = { kind: 'custom' };
+    let validator = make_validator(description, compiled);
+    description.validator = validator;
+    return validator;
+}
+// The path is only used to point at the invalid part of the schema when throwing.
+function compile2(schema, path) {
     // Schema as a function
     if (typeof schema === 'function') {
-        let res = schema(value);
-        merge_result(errors, path, res);
-        return;
+        let builtin = builtins.get(schema);
+        if (builtin)
+            return builtin.compiled;
+        let type = basic_types.get(schema);
+        if (type !== undefined) {
+            let convert = coercions.get(schema);
+            return (value, path, context) => {
+                if (schema(value))
+                    return value;
+                if (context.coerce && convert) {
+                    let converted = convert(value);
+                    if (schema(converted))
+                        return converted;
+                }
+                report(context, path, value, schema, 'expected_type', { expected: type });
+                return value;
+            };
+        }
+        return (value, path, context) => {
+            if (context.async !== null)
+                call_async(context, path, value, schema);
+            else
+                merge_result(context, path, value, schema, schema(value));
+            return value;
+        };
     }
     // RegExp
     if (schema instanceof RegExp) {
-        if (!string(value)) {
-            errors[path] = DEBUG ? `Expected string` : '';
-            return;
-        }
-        if (value.search(schema) < 0) {
-            errors[path] = DEBUG ? `String value does not match regexp` : '';
-        }
-        return;
+        return (value, path, context) => {
+            if (!string(value)) {
+                report(context, path, value, schema, 'expected_type', { expected: 'string' });
+                return value;
+            }
+            if (value.search(schema) < 0) {
+                report(context, path, value, schema, 'regexp_mismatch', { pattern: schema.source });
+            }
+            return value;
+        };
     }
     // null
     if (schema === null || string(schema) || number(schema) || boolean(schema)) {
-        if (value !== schema) {
-            errors[path] = DEBUG ? `Expected ${JSON.stringify(schema)}` : '';
-        }
-        return;
+        let convert = number(schema) ? string_to_number : boolean(schema) ? string_to_boolean : null;
+        return (value, path, context) => {
+            if (context.coerce && convert && convert(value) === schema)
+                return schema;
+            if (value !== schema) {
+                report(context, path, value, schema, 'literal_mismatch', { expected: schema });
+            }
+            return value;
+        };
     }
     // Array by example
     if (plain_array(schema)) {
-        if (!array(value)) {
-            errors[path] = DEBUG ? `Expected array` : '';
-            return;
-        }
         if (schema.length < 1 || schema.length > 3) {
             throw new Error(`Invalid schema at path '${path}': arrays must be of length 1 to 3`);
         }
@@ -66,59 +398,179 @@ function validate2(schema, value, path, errors) {
             }
             max = schema[2];
         }
-        if (value.length < min || value.length > max) {
-            errors[path] = DEBUG ? `Array not of expected length: ${min} <= ${value.length} <= ${max}` : '';
-        }
-        for (let i = 0; i < value.length; i++) {
-            validate2(schema[0], value[i], `${path}[${i}]`, errors);
-        }
-        return;
+        let items = compile_nested(schema, path, () => compile2(schema[0], `${path}[]`));
+        return (value, path, context) => {
+            // A single value, e.g. from a query string with the parameter given once
+            if (context.coerce && !array(value))
+                value = [value];
+            if (!array(value)) {
+                report(context, path, value, schema, 'expected_type', { expected: 'array' });
+                return value;
+            }
+            if (value.length < min || value.length > max) {
+                report(context, path, value, schema, 'array_length', { length: value.length, min, max });
+            }
+            let output = context.copy ? value.slice() : null;
+            for (let i = 0; i < value.length; i++) {
+                let item = items(value[i], { parent: path, segment: i }, context);
+                if (output)
+                    output[i] = item;
+            }
+            return output ?? value;
+        };
     }
     // Object by example
     if (is_plain_object(schema)) {
-        value = value;
-        if (!is_object(value)) {
-            errors[path] = DEBUG ? `Expected object` : '';
-            return;
-        }
-        for (let prop in value) {
-            if (!schema.hasOwnProperty(prop)) {
-                errors[path] = DEBUG ? `Unexpected property: ${prop}` : '';
-                return;
+        let properties = compile_nested(schema, path, () => compile_properties(schema, path));
+        let is_known = (prop) => properties.has(prop);
+        return (value, path, context) => {
+            if (!is_object(value)) {
+                report(context, path, value, schema, 'expected_type', { expected: 'object' });
+                return value;
             }
-        }
-        for (let prop in schema) {
-            let subpath = `${path}.${prop}`;
-            if (!value.hasOwnProperty(prop) || value[prop] === undefined) {
-                errors[subpath] = DEBUG ? `Missing property` : '';
-                continue;
+            let output = context.copy ? { ...value } : null;
+            if (!check_unknown(context, path, value, schema, output, is_known))
+                return value;
+            for (let [prop, compiled] of properties) {
+                let subpath = { parent: path, segment: prop };
+                if (!has_own(value, prop) || value[prop] === undefined) {
+                    report(context, subpath, undefined, schema, 'missing_property', { property: prop });
+                    continue;
+                }
+                let property = compiled(value[prop], subpath, context);
+                if (output)
+                    set_property(output, prop, property);
             }
-            validate2(schema[prop], value[prop], subpath, errors);
-        }
-        return;
+            return output ?? value;
+        };
     }
     throw new Error(`Invalid schema at path '${path}'`);
 }
+// Objects and arrays by example currently being compiled. If they contain themselves, compiling would never end.
+const compiling = new Set();
+function compile_nested(schema, path, compile_children) {
+    if (compiling.has(schema)) {
+        throw new Error(`Invalid schema at path '${path}': the schema contains itself, use lazy() for recursive schemata`);
+    }
+    compiling.add(schema);
+    try {
+        return compile_children();
+    }
+    finally {
+        compiling.delete(schema);
+    }
+}
+function compile_properties(properties, path) {
+    let compiled = new Map();
+    for (let prop in properties) {
+        compiled.set(prop, compile2(properties[prop], `${path}.${prop}`));
+    }
+    return compiled;
+}
 // Merges a result from a subpath into an error object
-function merge_result(errors, path, result) {
+function merge_result(context, path, value, schema, result) {
     if (result === true)
         return;
+    let format_name = format_names.get(schema);
+    if (format_name !== undefined && (result === false || string(result))) {
+        let params = { format: format_name, reason: string(result) ? result : '' };
+        // Formats describe the problem in production as well
+        let message = context.messages ? context.messages('format', params) : params.reason;
+        context.errors.push({ path, subpath: '', code: 'format', params, value, schema, message });
+        return;
+    }
     if (result === false) {
-        errors[path] = '';
+        report(context, path, value, schema, 'invalid');
         return;
     }
     if (string(result)) {
-        errors[path] = result;
+        context.errors.push({ path, subpath: '', code: 'custom', params: {}, value, schema, message: result });
         return;
     }
     if (object(result)) {
         for (let subpath in result) {
-            errors[path + subpath] = result[subpath];
+            context.errors.push({ path, subpath, code: 'custom', params: {}, value, schema, message: result[subpath] });
         }
         return;
     }
+    if (is_thenable(result))
+        throw new Error(`Schema returned a promise, use validateAsync() for asynchronous functions`);
     throw new Error(`Invalid schema result encountered`);
 }
+// An assignment would call the setter for __proto__, which JSON.parse() creates as a regular property.
+function set_property(o, prop, value) {
+    Object.defineProperty(o, prop, { value, writable: true, enumerable: true, configurable: true });
+}
+function to_error_map(failures) {
+    let errors = {};
+    for (let failure of failures) {
+        errors[path_string(failure.path) + failure.subpath] = failure.message;
+    }
+    return errors;
+}
+function path_string(path) {
+    let res = '';
+    for (let segment of path_segments(path))
+        res += number(segment) ? `[${segment}]` : `.${segment}`;
+    return res;
+}
+function to_validation_error(failure) {
+    let { path, subpath, code, params, value, schema, message } = failure;
+    let segments = path_segments(path);
+    // Point at the failing part of the value given to a custom function
+    for (let segment of parse_path(subpath)) {
+        segments.push(segment);
+        value = (is_object(value) || array(value)) && has_own(value, segment) ? value[segment] : undefined;
+    }
+    return { path: segments, code, params, value, schema, message };
+}
+function path_segments(path) {
+    let segments = [];
+    for (; path !== null; path = path.parent)
+        segments.push(path.segment);
+    return segments.reverse();
+}
+// Custom functions return paths as strings. We split them as well as we can, but see README.md on why that's ambiguous.
+function parse_path(path) {
+    let segments = [];
+    let re = /\.([^.[]*)|\[(\d+)\]/y;
+    let position = 0;
+    while (position < path.length) {
+        re.lastIndex = position;
+        let match = re.exec(path);
+        if (match === null) {
+            segments.push(path.substring(position));
+            break;
+        }
+        segments.push(match[2] !== undefined ? Number(match[2]) : match[1]);
+        position = re.lastIndex;
+    }
+    return segments;
+}
+/**
+ * Turns a path from a ValidationError into a JSON Pointer (RFC 6901), e.g. /foo/3/bar
+ *
+ * @param {array} path
+ * @returns {string}
+ */
+export function toJSONPointer(path) {
+    return path.map((segment) => `/${escape_json_pointer(String(segment))}`).join('');
+}
+/**
+ * Turns a path from a ValidationError into javascript, e.g. .foo[3]["bar.baz"]
+ *
+ * @param {array} path
+ * @returns {string}
+ */
+export function toJSPath(path) {
+    return path.map((segment) => {
+        if (number(segment))
+            return `[${segment}]`;
+        if (/^[A-Za-z_$][\w$]*$/.test(segment))
+            return `.${segment}`;
+        return `[${JSON.stringify(segment)}]`;
+    }).join('');
+}
 // Validators for basic JSON types
 export function boolean(v) {
     return typeof v === 'boolean';
@@ -167,6 +619,33 @@ export function plain_array(v) {
         return false;
     return true;
 }
+// The type checks above, when used as a schema, report this as the expected type
+const basic_types = new Map([
+    [boolean, 'boolean'],
+    [number, 'number'],
+    [integer, 'integer'],
+    [string, 'string'],
+    [array, 'array'],
+    [object, 'object'],
+    [plain_object, 'plain object'],
+]);
+// Query strings and form data only contain strings. When coercing, these are converted before checking the type.
+function string_to_number(v) {
+    // Only what JSON would accept, so no hex, no Infinity, and no surrounding whitespace
+    return string(v) && /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(v) ? Number(v) : v;
+}
+function string_to_boolean(v) {
+    return v === 'true' ? true : v === 'false' ? false : v;
+}
+const coercions = new Map([
+    [boolean, string_to_boolean],
+    [number, string_to_number],
+    [integer, string_to_number],
+]);
+// Values may have their own property named hasOwnProperty, so never call it on them
+function has_own(o, prop) {
+    return Object.prototype.hasOwnProperty.call(o, prop);
+}
 function is_object(v) {
     if (typeof v !== 'object' || v === null || Object.getPrototypeOf(v) !== Object.prototype)
         return false;
@@ -198,163 +677,3001 @@ export function object(...args) {
         throw new Error(`object: wrong number of arguments`);
     }
     let [required_properties, optional_properties = null, min_optional_properties = 0, max_optional_properties = Number.MAX_SAFE_INTEGER] = args;
+    // null means there are no optional properties
+    if (optional_properties === null)
+        optional_properties = {};
     if (!is_plain_object(required_properties) || !is_plain_object(optional_properties)) {
         throw new Error('Invalid schema');
     }
     // Do this check just once when creating the schema.
     for (let prop in required_properties) {
-        if (optional_properties.hasOwnProperty(prop)) {
+        if (has_own(optional_properties, prop)) {
             throw new Error(`Invalid schema: property ${prop} must not be both required and optional`);
         }
     }
-    return (value) => {
+    let required = compile_properties(required_properties, '');
+    let optional = compile_properties(optional_properties, '');
+    let defaults = new Map();
+    for (let prop in optional_properties) {
+        let builtin = builtins.get(optional_properties[prop]);
+        if (builtin?.description.kind === 'default')
+            defaults.set(prop, builtin.description.default);
+    }
+    let is_known = (prop) => required.has(prop) || optional.has(prop);
+    let validator = make_validator({ kind: 'object', required: required_properties, optional: optional_properties, min: min_optional_properties, max: max_optional_properties }, (value, path, context) => {
         if (!is_object(value)) {
-            return DEBUG ? 'Expected object' : '';
-        }
-        for (let prop in value) {
-            if (!required_properties.hasOwnProperty(prop) && (optional_properties === null || !optional_properties.hasOwnProperty(prop))) {
-                return DEBUG ? `Unexpected property: ${prop}` : '';
-            }
+            report(context, path, value, validator, 'expected_type', { expected: 'object' });
+            return value;
         }
-        let errors = {};
-        for (let prop in required_properties) {
-            let path = `.${prop}`;
-            if (!value.hasOwnProperty(prop) || value[prop] === undefined) {
-                errors[path] = DEBUG ? `Missing property ${prop}` : '';
+        let output = context.copy ? { ...value } : null;
+        if (!check_unknown(context, path, value, validator, output, is_known))
+            return value;
+        for (let [prop, compiled] of required) {
+            let subpath = { parent: path, segment: prop };
+            if (!has_own(value, prop) || value[prop] === undefined) {
+                report(context, subpath, undefined, validator, 'missing_property', { property: prop });
                 continue;
             }
-            validate2(required_properties[prop], value[prop], path, errors);
+            let property = compiled(value[prop], subpath, context);
+            if (output)
+                set_property(output, prop, property);
         }
         let optional_property_count = 0;
-        for (let prop in optional_properties) {
-            let path = `.${prop}`;
-            if (!value.hasOwnProperty(prop)) {
+        for (let [prop, compiled] of optional) {
+            if (!has_own(value, prop)) {
+                // Defaults are not counted, as they do not appear in the value
+                if (output && context.coerce && defaults.has(prop))
+                    set_property(output, prop, copy_json(defaults.get(prop)));
                 continue;
             }
             optional_property_count++;
-            validate2(optional_properties[prop], value[prop], path, errors);
+            let property = compiled(value[prop], { parent: path, segment: prop }, context);
+            if (output)
+                set_property(output, prop, property);
         }
         if (optional_property_count < min_optional_properties || optional_property_count > max_optional_properties) {
-            errors[''] = DEBUG ? 'Wrong number of optional properties' : '';
+            report(context, path, value, validator, 'optional_count', { count: optional_property_count, min: min_optional_properties, max: max_optional_properties });
         }
-        return errors;
-    };
+        return output ?? value;
+    });
+    return validator;
 }
 export function plain_object(...args) {
     if (args.length === 1) {
         let value = args[0];
         return is_plain_object(value);
     }
-    let schema = object(...args);
-    return (value) => {
-        if (!is_plain_object(value))
-            return DEBUG ? 'Expected plain object' : '';
-        return schema(value);
-    };
+    let { description, compiled } = builtins.get(object(...args));
+    let validator = make_validator({ ...description, kind: 'plain_object' }, (value, path, context) => {
+        if (!is_plain_object(value)) {
+            report(context, path, value, validator, 'expected_type', { expected: 'plain object' });
+            return value;
+        }
+        return compiled(value, path, context);
+    });
+    return validator;
 }
-// This will ignore any properties not specified. Useful to combine with and_all() etc
 export function partial_object(properties) {
     if (!is_plain_object(properties)) {
         throw new Error('Invalid schema');
     }
-    return (value) => {
+    let compiled_properties = compile_properties(properties, '');
+    let validator = make_validator({ kind: 'partial_object', properties }, (value, path, context) => {
         if (!is_object(value)) {
-            return DEBUG ? 'Expected object' : '';
+            report(context, path, value, validator, 'expected_type', { expected: 'object' });
+            return value;
         }
-        let errors = {};
-        for (let prop in properties) {
-            let path = `.${prop}`;
-            if (!value.hasOwnProperty(prop) || value[prop] === undefined) {
-                errors[path] = DEBUG ? `Missing property ${prop}` : '';
+        let output = context.copy ? { ...value } : null;
+        for (let [prop, compiled] of compiled_properties) {
+            let subpath = { parent: path, segment: prop };
+            if (!has_own(value, prop) || value[prop] === undefined) {
+                report(context, subpath, undefined, validator, 'missing_property', { property: prop });
                 continue;
             }
-            validate2(properties[prop], value[prop], path, errors);
+            let property = compiled(value[prop], subpath, context);
+            if (output)
+                set_property(output, prop, property);
         }
-        return errors;
-    };
+        return output ?? value;
+    });
+    return validator;
 }
 export function tuple(...schemata) {
     if (schemata.length < 1) {
         throw new Error('Invalid schema: tuple needs at least one schema');
     }
-    return (value) => {
+    let compiled_schemata = schemata.map((schema, i) => compile2(schema, `[${i}]`));
+    let validator = make_validator({ kind: 'tuple', schemata }, (value, path, context) => {
         if (!array(value)) {
-            return DEBUG ? 'Expected array' : false;
+            report(context, path, value, validator, 'expected_type', { expected: 'array' });
+            return value;
         }
-        if (value.length !== schemata.length) {
-            return DEBUG ? `Unexpected length of tuple, got ${value.length}, expected ${schemata.length}` : false;
+        if (value.length !== compiled_schemata.length) {
+            report(context, path, value, validator, 'array_length', { length: value.length, min: compiled_schemata.length, max: compiled_schemata.length });
+            return value;
         }
-        let errors = {};
-        for (let i = 0; i < schemata.length; i++) {
-            validate2(schemata[i], value[i], `[${i}]`, errors);
+        let output = context.copy ? value.slice() : null;
+        for (let i = 0; i < compiled_schemata.length; i++) {
+            let item = compiled_schemata[i](value[i], { parent: path, segment: i }, context);
+            if (output)
+                output[i] = item;
         }
-        return errors;
-    };
+        return output ?? value;
+    });
+    return validator;
 }
 export function map(key_schema, value_schema, min_entries = 0, max_entries = Number.MAX_SAFE_INTEGER) {
-    return (value) => {
+    let compiled_key = compile2(key_schema, '');
+    let compiled_value = compile2(value_schema, '');
+    let validator = make_validator({ kind: 'map', key: key_schema, value: value_schema, min: min_entries, max: max_entries }, (value, path, context) => {
         if (!is_object(value)) {
-            return DEBUG ? `Map is not an object` : '';
+            report(context, path, value, validator, 'expected_type', { expected: 'object' });
+            return value;
         }
-        // Validate keys first, and abort early on unexpected properties.
-        for (let key in value) {
-            if (validateJSON(key_schema, key) !== true)
-                return DEBUG ? `Unexpected property ${key}` : '';
+        // Asynchronous key schemata need to finish before we know which entries to validate
+        if (context.async !== null) {
+            let keys = new Map();
+            for (let key in value) {
+                let nested = nested_context(context);
+                compiled_key(key, null, nested);
+                keys.set(key, nested);
+            }
+            let object_value = value;
+            add_pending(context, Promise.all([...keys.values()].map(settle)).then(() => {
+                validate_entries(object_value, path, context, (key) => keys.get(key).errors.length === 0);
+            }));
+            return value;
         }
+        return validate_entries(value, path, context, (key) => matches(compiled_key, key, context));
+    });
+    let validate_entries = (value, path, context, is_valid_key) => {
+        // Validate keys first, and abort early on unexpected properties.
+        let unknown = new Set();
+        let is_known = (key) => is_valid_key(key) || (unknown.add(key), false);
+        let output = context.copy ? { ...value } : null;
+        if (!check_unknown(context, path, value, validator, output, is_known))
+            return value;
         // Validate the values
-        let errors = {};
         let entries = 0;
         for (let key in value) {
-            validate2(value_schema, value[key], `.${key}`, errors);
+            if (unknown.has(key))
+                continue;
+            let entry = compiled_value(value[key], { parent: path, segment: key }, context);
+            if (output)
+                set_property(output, key, entry);
             entries++;
         }
-        if (entries < min_entries)
-            errors[''] = DEBUG ? 'Not enough entries in the map' : '';
-        if (entries > max_entries)
-            errors[''] = DEBUG ? 'Too many entries in the map' : '';
-        return errors;
+        if (entries < min_entries || entries > max_entries)
+            report(context, path, value, validator, 'map_entries', { count: entries, min: min_entries, max: max_entries });
+        return output ?? value;
     };
+    return validator;
 }
-// This one short circuits
 export function and(...schemata) {
     if (schemata.length < 1) {
         throw new Error('Invalid schema: and needs at least one schema');
     }
-    return (value) => {
-        for (let schema of schemata) {
-            let res = validateJSON(schema, value);
-            if (res !== true) {
-                return res;
-            }
+    let compiled_schemata = schemata.map((schema) => compile2(schema, ''));
+    let validator = make_validator({ kind: 'and', schemata }, (value, path, context) => {
+        return and_from(compiled_schemata, 0, value, path, context);
+    });
+    return validator;
+}
+// Validates against the schemata of and(), starting with the given index.
+// When coercing, each schema gets the value converted by the previous one.
+function and_from(compiled_schemata, index, value, path, context) {
+    for (let i = index; i < compiled_schemata.length; i++) {
+        let nested = nested_context(context);
+        value = compiled_schemata[i](value, path, nested);
+        // Asynchronous results decide whether to continue
+        if (nested.pending.length > 0) {
+            let next = value;
+            add_pending(context, settle(nested).then(() => {
+                if (nested.errors.length > 0)
+                    context.errors.push(...nested.errors);
+                else
+                    and_from(compiled_schemata, i + 1, next, path, context);
+            }));
+            return value;
         }
-        return true;
-    };
+        if (nested.errors.length > 0) {
+            context.errors.push(...nested.errors);
+            return value;
+        }
+    }
+    return value;
 }
-// This one executes all the schemata, collecting as many errors as it can
 export function and_all(...schemata) {
     if (schemata.length < 1) {
         throw new Error('Invalid schema: and needs at least one schema');
     }
-    return (value) => {
-        let errors = {};
-        for (let schema of schemata) {
-            let res = validateJSON(schema, value);
-            merge_result(errors, '', res);
+    let compiled_schemata = schemata.map((schema) => compile2(schema, ''));
+    let validator = make_validator({ kind: 'and_all', schemata }, (value, path, context) => {
+        for (let compiled of compiled_schemata) {
+            value = compiled(value, path, context);
         }
-        return errors;
-    };
+        return value;
+    });
+    return validator;
 }
 export function or(...schemata) {
     if (schemata.length < 1) {
         throw new Error('Invalid schema: or needs at least one schema');
     }
-    return (value) => {
-        for (let schema of schemata) {
-            if (validateJSON(schema, value) === true)
-                return true;
+    let compiled_schemata = schemata.map((schema) => compile2(schema, ''));
+    let validator = make_validator({ kind: 'or', schemata }, (value, path, context) => {
+        return or_from(validator, compiled_schemata, 0, [], value, path, context);
+    });
+    return validator;
+}
+// Tries the variants of or(), starting with the given index. The first matching variant decides how the value is converted.
+function or_from(validator, compiled_schemata, index, failed, value, path, context) {
+    for (let i = index; i < compiled_schemata.length; i++) {
+        let nested = nested_context(context);
+        let output = compiled_schemata[i](value, path, nested);
+        // Wait for asynchronous results before trying the next variant
+        if (nested.pending.length > 0) {
+            add_pending(context, settle(nested).then(() => {
+                if (nested.errors.length === 0)
+                    return;
+                if (context.or_errors !== 'none')
+                    failed.push(nested.errors);
+                or_from(validator, compiled_schemata, i + 1, failed, value, path, context);
+            }));
+            return value;
+        }
+        if (nested.errors.length === 0)
+            return output;
+        if (context.or_errors !== 'none')
+            failed.push(nested.errors);
+    }
+    if (context.or_errors === 'best') {
+        let closest = closest_variant(failed, path);
+        if (closest) {
+            context.errors.push(...closest);
+            return value;
+        }
+    }
+    if (context.or_errors === 'all') {
+        let prefix = path_string(path).length;
+        let variants = failed.map((failures) => {
+            let errors = {};
+            for (let [key, message] of Object.entries(to_error_map(failures)))
+                errors[key.substring(prefix)] = message;
+            return errors;
+        });
+        report(context, path, value, validator, 'no_variant_matched', { variants });
+        return value;
+    }
+    report(context, path, value, validator, 'no_variant_matched');
+    return value;
+}
+// The errors of one variant in a message, numbered like the variants of or()
+function variant_summary(errors, index) {
+    let reasons = Object.entries(errors).map(([subpath, message]) => [subpath, message].filter((part) => part !== '').join(': ') || '(root)');
+    return `${index + 1}: ${reasons.join(', ')}`;
+}
+// The errors of the variant that got furthest into the value: the one with the deepest error, then the one with the fewest errors.
+// If no variant got past the value itself, none of them is closer than the others.
+function closest_variant(variants, path) {
+    let base = path_segments(path).length;
+    let closest = null;
+    let closest_depth = 0;
+    for (let failures of variants) {
+        let depth = Math.max(...failures.map((failure) => path_segments(failure.path).length + parse_path(failure.subpath).length - base));
+        if (depth > closest_depth || (depth === closest_depth && closest !== null && failures.length < closest.length)) {
+            closest = failures;
+            closest_depth = depth;
+        }
+    }
+    return closest;
+}
+export function union(tag, variants) {
+    if (!string(tag) || !is_plain_object(variants) || !object_has_a_property(variants)) {
+        throw new Error('Invalid schema: union needs a property name and an object with at least one variant');
+    }
+    let compiled_variants = new Map();
+    for (let tag_value in variants) {
+        compiled_variants.set(tag_value, compile2(variants[tag_value], `[${JSON.stringify(tag_value)}]`));
+    }
+    let expected = [...compiled_variants.keys()];
+    let validator = make_validator({ kind: 'union', tag, variants }, (value, path, context) => {
+        if (!is_object(value)) {
+            report(context, path, value, validator, 'expected_type', { expected: 'object' });
+            return value;
+        }
+        let tag_path = { parent: path, segment: tag };
+        if (!has_own(value, tag) || value[tag] === undefined) {
+            report(context, tag_path, undefined, validator, 'missing_property', { property: tag });
+            return value;
+        }
+        let tag_value = value[tag];
+        let compiled = string(tag_value) ? compiled_variants.get(tag_value) : undefined;
+        if (compiled === undefined) {
+            report(context, tag_path, tag_value, validator, 'unknown_tag', { property: tag, expected });
+            return value;
+        }
+        return compiled(value, path, context);
+    });
+    return validator;
+}
+export function with_default(schema, default_value) {
+    let compiled = compile2(schema, '');
+    if (!matches(compiled, default_value, new_context({}))) {
+        throw new Error('Invalid schema: the default value does not match the schema');
+    }
+    return make_validator({ kind: 'default', schema, default: copy_json(default_value) }, compiled);
+}
+// Every use of a default gets its own copy, so nobody can modify it for the others
+function copy_json(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+export function lazy(get_schema) {
+    if (typeof get_schema !== 'function') {
+        throw new Error('Invalid schema: lazy needs a function returning the schema');
+    }
+    let compiled = null;
+    let validator = make_validator({ kind: 'lazy', schema: get_schema }, (value, path, context) => {
+        if (compiled === null)
+            compiled = compile2(resolve_lazy(validator), '');
+        if (context.depth >= context.max_depth) {
+            report(context, path, value, validator, 'max_depth', { max: context.max_depth });
+            return value;
+        }
+        context.depth++;
+        let output = compiled(value, path, context);
+        context.depth--;
+        return output;
+    });
+    return validator;
+}
+// Returns the schema a lazy() schema stands for. If that's another lazy() schema, follow it, but not in circles.
+function resolve_lazy(schema) {
+    let seen = new Set();
+    let target = schema;
+    while (typeof target === 'function') {
+        let description = builtins.get(target)?.description;
+        if (description?.kind !== 'lazy')
+            break;
+        if (seen.has(target))
+            throw new Error('Invalid schema: lazy() refers to itself');
+        seen.add(target);
+        target = description.schema();
+    }
+    return target;
+}
+function object_parts(schema, name) {
+    if (is_plain_object(schema)) {
+        compile2(schema, '');
+        return { kind: 'object', required: { ...schema }, optional: {}, min: 0, max: Number.MAX_SAFE_INTEGER };
+    }
+    let description = typeof schema === 'function' ? builtins.get(schema)?.description : undefined;
+    if (description?.kind !== 'object' && description?.kind !== 'plain_object')
+        throw new Error(`${name}: expected an object by example, object() or plain_object()`);
+    let { kind, required, optional, min, max } = description;
+    return { kind, required: { ...required }, optional: { ...optional }, min, max };
+}
+function build_object({ kind, required, optional, min, max }) {
+    return kind === 'plain_object' ? plain_object(required, optional, min, max) : object(required, optional, min, max);
+}
+function has_limits(parts) {
+    return parts.min > 0 || parts.max < Number.MAX_SAFE_INTEGER;
+}
+// The limits on the number of optional properties only mean the same if the optional properties stay the same.
+function combine_limits(res, inputs, name) {
+    let keys = Object.keys(res.optional).sort().join('\0');
+    for (let input of inputs) {
+        if (!has_limits(input))
+            continue;
+        if (Object.keys(input.optional).sort().join('\0') !== keys)
+            throw new Error(`${name}: cannot keep the limits on optional properties when changing those properties`);
+        res.min = Math.max(res.min, input.min);
+        res.max = Math.min(res.max, input.max);
+    }
+}
+export function extend(base, extra) {
+    let a = object_parts(base, 'extend'), b = object_parts(extra, 'extend');
+    let res = { kind: a.kind === 'plain_object' || b.kind === 'plain_object' ? 'plain_object' : 'object', required: {}, optional: {}, min: 0, max: Number.MAX_SAFE_INTEGER };
+    let replaced = (prop) => has_own(b.required, prop) || has_own(b.optional, prop);
+    for (let [prop, schema] of Object.entries(a.required)) {
+        if (!replaced(prop))
+            set_property(res.required, prop, schema);
+    }
+    for (let [prop, schema] of Object.entries(a.optional)) {
+        if (!replaced(prop))
+            set_property(res.optional, prop, schema);
+    }
+    for (let [prop, schema] of Object.entries(b.required))
+        set_property(res.required, prop, schema);
+    for (let [prop, schema] of Object.entries(b.optional))
+        set_property(res.optional, prop, schema);
+    combine_limits(res, [a, b], 'extend');
+    return build_object(res);
+}
+export function merge(a, b) {
+    let parts_a = object_parts(a, 'merge'), parts_b = object_parts(b, 'merge');
+    for (let [kind, properties] of [['required', parts_a.required], ['optional', parts_a.optional]]) {
+        for (let prop of Object.keys(properties)) {
+            let other = kind === 'required' ? parts_b.optional : parts_b.required;
+            if (has_own(other, prop))
+                throw new Error(`merge: property ${prop} is required in one schema and optional in the other`);
+            let same = parts_b[kind];
+            if (has_own(same, prop) && !same_schema(same[prop], properties[prop]))
+                throw new Error(`merge: property ${prop} has different schemata`);
+        }
+    }
+    return extend(a, b);
+}
+// Whether two schemata are the same. Schemata by example and RegExps are compared by their contents, everything else by identity.
+function same_schema(a, b) {
+    if (a === b)
+        return true;
+    if (a instanceof RegExp && b instanceof RegExp)
+        return a.source === b.source && a.flags === b.flags;
+    if (plain_array(a) && plain_array(b))
+        return a.length === b.length && a.every((item, i) => same_schema(item, b[i]));
+    if (is_plain_object(a) && is_plain_object(b)) {
+        let keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every((key) => has_own(b, key) && same_schema(a[key], b[key]));
+    }
+    return false;
+}
+export function pick(schema, keys) {
+    let parts = object_parts(schema, 'pick');
+    let res = { ...parts, required: {}, optional: {} };
+    for (let key of keys) {
+        if (has_own(parts.required, key))
+            set_property(res.required, key, parts.required[key]);
+        else if (has_own(parts.optional, key))
+            set_property(res.optional, key, parts.optional[key]);
+        else
+            throw new Error(`pick: there is no property ${key}`);
+    }
+    res.min = Math.min(res.min, Object.keys(res.optional).length);
+    return build_object(res);
+}
+export function omit(schema, keys) {
+    let parts = object_parts(schema, 'omit');
+    for (let key of keys) {
+        if (has_own(parts.required, key))
+            delete parts.required[key];
+        else if (has_own(parts.optional, key))
+            delete parts.optional[key];
+        else
+            throw new Error(`omit: there is no property ${key}`);
+    }
+    parts.min = Math.min(parts.min, Object.keys(parts.optional).length);
+    return build_object(parts);
+}
+export function partial(schema) {
+    let parts = object_parts(schema, 'partial');
+    return build_object({ kind: parts.kind, required: {}, optional: { ...parts.required, ...parts.optional }, min: 0, max: Number.MAX_SAFE_INTEGER });
+}
+export function required(schema) {
+    let parts = object_parts(schema, 'required');
+    return build_object({ kind: parts.kind, required: { ...parts.required, ...parts.optional }, optional: {}, min: 0, max: Number.MAX_SAFE_INTEGER });
+}
+export function range(min, max, options = {}) {
+    let { exclusive = false } = options;
+    if (typeof min !== 'number' || typeof max !== 'number' || Number.isNaN(min) || Number.isNaN(max) || min > max || ![true, false, 'min', 'max'].includes(exclusive)) {
+        throw new Error('Invalid schema: range needs two numbers and an optional exclusive: true, false, \'min\' or \'max\'');
+    }
+    let exclusive_min = exclusive === true || exclusive === 'min';
+    let exclusive_max = exclusive === true || exclusive === 'max';
+    let validator = make_validator({ kind: 'range', min, max, exclusive }, (value, path, context) => {
+        if (context.coerce)
+            value = string_to_number(value);
+        if (!number(value)) {
+            report(context, path, value, validator, 'expected_type', { expected: 'number' });
+            return value;
+        }
+        if (value < min || value > max || (exclusive_min && value === min) || (exclusive_max && value === max)) {
+            report(context, path, value, validator, 'out_of_range', { min, max, exclusive });
+        }
+        return value;
+    });
+    return validator;
+}
+export function multiple_of(factor) {
+    if (!number(factor) || factor <= 0) {
+        throw new Error('Invalid schema: multiple_of needs a positive number');
+    }
+    let validator = make_validator({ kind: 'multiple_of', factor }, (value, path, context) => {
+        if (context.coerce)
+            value = string_to_number(value);
+        if (!number(value)) {
+            report(context, path, value, validator, 'expected_type', { expected: 'number' });
+            return value;
+        }
+        // Allow for rounding errors, so 0.3 is a multiple of 0.1
+        let quotient = value / factor;
+        if (Math.abs(quotient - Math.round(quotient)) > Number.EPSILON * Math.abs(quotient)) {
+            report(context, path, value, validator, 'multiple_of', { factor });
+        }
+        return value;
+    });
+    return validator;
+}
+// Counts code points like JSON Schema does, so an emoji is one character, not two UTF-16 code units.
+export function length(min, max = Number.MAX_SAFE_INTEGER) {
+    if (!integer(min) || !integer(max) || min < 0 || min > max) {
+        throw new Error('Invalid schema: length needs two non-negative integers, min <= max');
+    }
+    let validator = make_validator({ kind: 'length', min, max }, (value, path, context) => {
+        if (!string(value)) {
+            report(context, path, value, validator, 'expected_type', { expected: 'string' });
+            return value;
+        }
+        let count = code_points(value);
+        if (count < min || count > max) {
+            report(context, path, value, validator, 'string_length', { length: count, min, max });
+        }
+        return value;
+    });
+    return validator;
+}
+function code_points(s) {
+    let count = 0;
+    for (let _ of s)
+        count++;
+    return count;
+}
+// Matches strings, arrays and objects with at least one character, element or property
+export const non_empty = make_validator({ kind: 'non_empty' }, (value, path, context) => {
+    if (!string(value) && !array(value) && !is_object(value)) {
+        report(context, path, value, non_empty, 'expected_type', { expected: 'string, array or object' });
+        return value;
+    }
+    if (string(value) || array(value) ? value.length === 0 : !object_has_a_property(value)) {
+        report(context, path, value, non_empty, 'empty');
+    }
+    return value;
+});
+export function one_of(...values) {
+    if (values.length < 1 || !values.every((value) => value === null || string(value) || number(value) || boolean(value))) {
+        throw new Error('Invalid schema: one_of needs at least one string, number, boolean or null');
+    }
+    let allowed = new Set(values);
+    let validator = make_validator({ kind: 'one_of', values }, (value, path, context) => {
+        if (!allowed.has(value)) {
+            report(context, path, value, validator, 'not_one_of', { values });
+        }
+        return value;
+    });
+    return validator;
+}
+// Matches arrays without duplicates, which are deeply equal by default. Pass your own comparison otherwise, e.g. comparing ids.
+export function unique(equal) {
+    if (equal !== undefined && typeof equal !== 'function') {
+        throw new Error('Invalid schema: unique needs a function comparing two elements, or nothing');
+    }
+    let validator = make_validator({ kind: 'unique', equal: equal ?? null }, (value, path, context) => {
+        if (!array(value)) {
+            report(context, path, value, validator, 'expected_type', { expected: 'array' });
+            return value;
+        }
+        let duplicate = (i, index) => report(context, { parent: path, segment: i }, value[i], validator, 'duplicate_item', { index });
+        if (equal) {
+            for (let i = 1; i < value.length; i++) {
+                let index = value.findIndex((other, j) => j < i && equal(other, value[i]));
+                if (index >= 0)
+                    duplicate(i, index);
+            }
+        }
+        else {
+            // Deeply equal values have the same canonical JSON, so we don't need to compare each pair
+            let seen = new Map();
+            for (let i = 0; i < value.length; i++) {
+                let key = canonical_json(value[i]);
+                let index = seen.get(key);
+                if (index !== undefined)
+                    duplicate(i, index);
+                else
+                    seen.set(key, i);
+            }
+        }
+        return value;
+    });
+    return validator;
+}
+// JSON with sorted object keys
+function canonical_json(value) {
+    if (array(value))
+        return `[${value.map(canonical_json).join(',')}]`;
+    if (is_object(value))
+        return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonical_json(value[key])}`).join(',')}}`;
+    return JSON.stringify(value) ?? 'undefined';
+}
+// Rules between the properties of an object, reported at the properties involved so forms can point at the right fields.
+// They only check the properties they name, so combine them with an object schema, e.g. and_all(shape, dependent_required(...)).
+function has_property(value, prop) {
+    return has_own(value, prop) && value[prop] !== undefined;
+}
+// For each property present, the properties it requires, e.g. { billing: ['vat_id'] }
+export function dependent_required(dependencies) {
+    if (!is_plain_object(dependencies) || !Object.values(dependencies).every((props) => array(props) && props.every(string))) {
+        throw new Error('Invalid schema: dependent_required needs an object with arrays of property names');
+    }
+    let entries = Object.entries(dependencies);
+    let validator = make_validator({ kind: 'dependent_required', dependencies }, (value, path, context) => {
+        if (!is_object(value)) {
+            report(context, path, value, validator, 'expected_type', { expected: 'object' });
+            return value;
+        }
+        for (let [dependency, props] of entries) {
+            if (!has_property(value, dependency))
+                continue;
+            for (let prop of props) {
+                if (!has_property(value, prop))
+                    report(context, { parent: path, segment: prop }, undefined, validator, 'dependent_required', { property: prop, dependency });
+            }
+        }
+        return value;
+    });
+    return validator;
+}
+// At most one of the properties may be present. If there are more, each of them is reported.
+export function mutually_exclusive(...properties) {
+    if (properties.length < 2 || !properties.every(string)) {
+        throw new Error('Invalid schema: mutually_exclusive needs at least two property names');
+    }
+    let validator = make_validator({ kind: 'mutually_exclusive', properties }, (value, path, context) => {
+        if (!is_object(value)) {
+            report(context, path, value, validator, 'expected_type', { expected: 'object' });
+            return value;
+        }
+        let present = properties.filter((prop) => has_property(value, prop));
+        if (present.length > 1) {
+            for (let prop of present)
+                report(context, { parent: path, segment: prop }, value[prop], validator, 'mutually_exclusive', { property: prop, others: present.filter((other) => other !== prop) });
         }
-        return DEBUG ? 'or: value does not match any variant' : '';
+        return value;
+    });
+    return validator;
+}
+export function when(condition, then_schema, else_schema = null) {
+    let compiled_condition = compile2(condition, '');
+    let compiled_then = compile2(then_schema, '');
+    let compiled_else = else_schema === null ? null : compile2(else_schema, '');
+    let branch = (value, path, context, matched) => {
+        let compiled = matched ? compiled_then : compiled_else;
+        return compiled ? compiled(value, path, context) : value;
     };
+    return make_validator({ kind: 'when', condition, then_schema, else_schema }, (value, path, context) => {
+        let nested = nested_context(context);
+        compiled_condition(value, path, nested);
+        // The branch depends on asynchronous results
+        if (nested.pending.length > 0) {
+            add_pending(context, settle(nested).then(() => {
+                branch(value, path, context, nested.errors.length === 0);
+            }));
+            return value;
+        }
+        return branch(value, path, context, nested.errors.length === 0);
+    });
+}
+// String formats. These return descriptive messages, in production as well, as they're meant to be shown to users.
+// In a schema, they are reported with the code 'format' and the message as the reason.
+// The names are those of JSON Schema, where one exists.
+function format_email(v) {
+    if (!string(v))
+        return 'Expected a string';
+    // RFC 5321, without quoted local parts and IP address literals, which no one really uses
+    let at = v.lastIndexOf('@');
+    let local = v.substring(0, at);
+    if (at < 0 || !/^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/.test(local) || local.length > 64)
+        return 'Expected an email address like name@example.com';
+    if (format_hostname(v.substring(at + 1)) !== true)
+        return 'Expected an email address with a valid domain name';
+    return true;
+}
+function format_hostname(v) {
+    if (!string(v))
+        return 'Expected a string';
+    // RFC 1123
+    if (v.length > 253 || !v.split('.').every((label) => /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/.test(label)))
+        return 'Expected a host name: labels of letters, digits and hyphens, separated by dots';
+    return true;
+}
+function format_ipv4(v) {
+    if (!string(v))
+        return 'Expected a string';
+    // Leading zeros are ambiguous, as some parsers read them as octal numbers
+    if (!/^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(v))
+        return 'Expected an IPv4 address like 192.168.0.1';
+    return true;
+}
+function format_ipv6(v) {
+    if (!string(v))
+        return 'Expected a string';
+    // RFC 4291, section 2.2, without zone ids
+    let message = 'Expected an IPv6 address like 2001:db8::1';
+    let halves = v.split('::');
+    if (halves.length > 2)
+        return message;
+    let groups = 0;
+    for (let i = 0; i < halves.length; i++) {
+        if (halves[i] === '')
+            continue;
+        let parts = halves[i].split(':');
+        for (let j = 0; j < parts.length; j++) {
+            // The last 32 bits may be written as an IPv4 address
+            if (i === halves.length - 1 && j === parts.length - 1 && format_ipv4(parts[j]) === true) {
+                groups += 2;
+                continue;
+            }
+            if (!/^[0-9A-Fa-f]{1,4}$/.test(parts[j]))
+                return message;
+            groups++;
+        }
+    }
+    if (halves.length === 1 ? groups !== 8 : groups > 7)
+        return message;
+    return true;
+}
+function format_uri(v) {
+    if (!string(v))
+        return 'Expected a string';
+    // RFC 3986, only checking the characters and the scheme of an absolute URI
+    if (!/^[A-Za-z][A-Za-z0-9+.-]*:([A-Za-z0-9\-._~:/?#[\]@!$&'()*+,;=]|%[0-9A-Fa-f]{2})*$/.test(v))
+        return 'Expected an absolute URI like https://example.com/, with special characters percent-encoded';
+    return true;
+}
+function format_uuid(v) {
+    if (!string(v))
+        return 'Expected a string';
+    if (!/^[0-9A-Fa-f]{8}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{12}$/.test(v))
+        return 'Expected a UUID like 123e4567-e89b-12d3-a456-426614174000';
+    return true;
+}
+// RFC 3339, section 5.6
+function format_date(v) {
+    if (!string(v))
+        return 'Expected a string';
+    let match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(v);
+    if (!match)
+        return 'Expected a date like 2021-12-31';
+    return check_date(Number(match[1]), Number(match[2]), Number(match[3]));
+}
+function format_time(v) {
+    if (!string(v))
+        return 'Expected a string';
+    return check_time(v);
+}
+function format_date_time(v) {
+    if (!string(v))
+        return 'Expected a string';
+    let match = /^(\d{4})-(\d{2})-(\d{2})[Tt](.*)$/.exec(v);
+    if (!match)
+        return 'Expected a date and time like 2021-12-31T23:59:59Z';
+    let res = check_date(Number(match[1]), Number(match[2]), Number(match[3]));
+    return res === true ? check_time(match[4]) : res;
+}
+function check_date(year, month, day) {
+    if (month < 1 || month > 12)
+        return 'Month must be between 01 and 12';
+    let leap_year = year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+    let days = month === 2 ? (leap_year ? 29 : 28) : [4, 6, 9, 11].includes(month) ? 30 : 31;
+    if (day < 1 || day > days)
+        return `Day must be between 01 and ${days}`;
+    return true;
+}
+function check_time(v) {
+    let match = /^(\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|([+-])(\d{2}):(\d{2}))$/.exec(v);
+    if (!match)
+        return 'Expected a time with a time zone like 23:59:59Z or 23:59:59+01:00';
+    let [hour, minute, second] = [match[1], match[2], match[3]].map(Number);
+    if (hour > 23 || minute > 59 || second > 60)
+        return 'Expected a time between 00:00:00 and 23:59:59';
+    let offset = 0;
+    if (match[6]) {
+        let [offset_hour, offset_minute] = [match[7], match[8]].map(Number);
+        if (offset_hour > 23 || offset_minute > 59)
+            return 'Expected a time zone offset between -23:59 and +23:59';
+        offset = (match[6] === '+' ? 1 : -1) * (offset_hour * 60 + offset_minute);
+    }
+    // Leap seconds are inserted at the end of the day, UTC
+    if (second === 60 && ((hour * 60 + minute - offset) % 1440 + 1440) % 1440 !== 23 * 60 + 59)
+        return 'Leap seconds can only occur at 23:59:60 UTC';
+    return true;
+}
+function format_base64(v) {
+    if (!string(v))
+        return 'Expected a string';
+    // RFC 4648, section 4, with padding
+    if (!/^([A-Za-z0-9+/]{4})*([A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/.test(v))
+        return 'Expected base64 encoded data';
+    return true;
+}
+function format_semver(v) {
+    if (!string(v))
+        return 'Expected a string';
+    // See https://semver.org/
+    if (!/^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(-((0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*)(\.(0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*))*))?(\+[0-9A-Za-z-]+(\.[0-9A-Za-z-]+)*)?$/.test(v))
+        return 'Expected a semantic version like 1.2.3';
+    return true;
+}
+export const formats = Object.freeze({
+    email: format_email,
+    hostname: format_hostname,
+    ipv4: format_ipv4,
+    ipv6: format_ipv6,
+    uri: format_uri,
+    uuid: format_uuid,
+    date: format_date,
+    time: format_time,
+    'date-time': format_date_time,
+    base64: format_base64,
+    semver: format_semver,
+});
+// All formats by name, including those registered by registerFormat(), and the other way round for toJSONSchema()
+const format_registry = new Map(Object.entries(formats));
+const format_names = new Map([...format_registry].map(([name, validator]) => [validator, name]));
+/**
+ * Makes a custom function available as a format, so it can be shared by name.
+ *
+ * @param {string} name
+ * @param {function} validator
+ * @throws if the name is taken
+ */
+export function registerFormat(name, validator) {
+    if (!string(name) || typeof validator !== 'function')
+        throw new Error('registerFormat: expected a name and a function');
+    if (format_registry.has(name))
+        throw new Error(`registerFormat: format ${name} already exists`);
+    format_registry.set(name, validator);
+    format_names.set(validator, name);
+}
+/**
+ * Returns a format by name, for use in a schema.
+ *
+ * @param {string} name one of the formats, or a name given to registerFormat()
+ * @returns {function} the format's validator
+ * @throws if there is no such format
+ */
+export function format(name) {
+    let validator = format_registry.get(name);
+    if (validator === undefined)
+        throw new Error(`Unknown format ${name}`);
+    return validator;
+}
+/**
+ * Validates JSON text while reading it, without parsing the whole document first.
+ *
+ * Arrays by example, objects by example, object() and plain_object() are checked piece by piece, and each element of an
+ * array by example is released once it has been validated. Any other part of the schema gets the whole value it applies to.
+ *
+ * @param {any} schema
+ * @param {AsyncIterable|ReadableStream} source chunks of JSON text, as strings or UTF-8 bytes
+ * @param {object} options
+ * @returns {Promise<true|Array>} true, or a list of ValidationErrors with an additional byte offset
+ * @throws if the schema is invalid, or rejects if the JSON text is
+ */
+export async function validateStream(schema, source, options = {}) {
+    let { maxErrors = Infinity } = options;
+    if (maxErrors !== Infinity && (!integer(maxErrors) || maxErrors < 1))
+        throw new Error('validateStream: maxErrors must be a positive integer');
+    compile2(schema, '');
+    let validator = stream_validator(schema, options, maxErrors);
+    let decoder = new TextDecoder();
+    // Leaving the loop early closes the source
+    for await (let chunk of read_chunks(source)) {
+        validator.write(string(chunk) ? chunk : decoder.decode(chunk, { stream: true }));
+        if (validator.errors.length >= maxErrors)
+            return validator.errors;
+    }
+    validator.write(decoder.decode());
+    validator.end();
+    return validator.errors.length === 0 ? true : validator.errors;
+}
+export async function validateNDJSON(schema, source, options = {}) {
+    let { mode = 'collect', maxCommonPaths = 10 } = options;
+    if (mode !== 'collect' && mode !== 'fail-fast')
+        throw new Error('validateNDJSON: mode must be \'collect\' or \'fail-fast\'');
+    let compiled = compile2(schema, '');
+    let result = { lines: 0, valid: 0, invalid: 0, errors: [], commonPaths: [] };
+    let path_counts = new Map();
+    let line_number = 0;
+    // Returns false to stop reading
+    let check_line = (line) => {
+        line_number++;
+        if (line.trim() === '')
+            return true;
+        result.lines++;
+        let value;
+        try {
+            value = JSON.parse(line);
+        }
+        catch (e) {
+            result.invalid++;
+            result.errors.push({ line: line_number, parseError: e.message, errors: null });
+            return mode === 'collect';
+        }
+        let context = new_context(options);
+        if (within_limits(value, options, context))
+            compiled(value, null, context);
+        if (context.errors.length === 0) {
+            result.valid++;
+            return true;
+        }
+        result.invalid++;
+        for (let failure of context.errors) {
+            let path = path_string(failure.path) + failure.subpath;
+            path_counts.set(path, (path_counts.get(path) ?? 0) + 1);
+        }
+        result.errors.push({ line: line_number, parseError: null, errors: errors_of(context, options) });
+        return mode === 'collect';
+    };
+    let decoder = new TextDecoder();
+    // The start of a line continued in the next chunk
+    let pending = [];
+    let done = true;
+    read: for await (let chunk of read_chunks(source)) {
+        let text = string(chunk) ? chunk : decoder.decode(chunk, { stream: true });
+        let start = 0, end;
+        while ((end = text.indexOf('\n', start)) >= 0) {
+            pending.push(text.slice(start, end));
+            let line = pending.join('');
+            pending = [];
+            start = end + 1;
+            // Leaving the loop early closes the source
+            if (!check_line(line.endsWith('\r') ? line.slice(0, -1) : line)) {
+                done = false;
+                break read;
+            }
+        }
+        pending.push(text.slice(start));
+    }
+    if (done) {
+        pending.push(decoder.decode());
+        let line = pending.join('');
+        // A final newline does not start another line
+        if (line !== '')
+            check_line(line);
+    }
+    result.commonPaths = [...path_counts]
+        .sort(([path_a, count_a], [path_b, count_b]) => count_b - count_a || (path_a < path_b ? -1 : path_a > path_b ? 1 : 0))
+        .slice(0, maxCommonPaths)
+        .map(([path, count]) => ({ path, count }));
+    return result;
+}
+async function* read_chunks(source) {
+    // A string is iterable too, but would be read one character at a time
+    if (typeof source !== 'object' || source === null)
+        throw new Error('Invalid source: expected a stream or an iterable of chunks, wrap JSON text in an array like [text]');
+    if (Symbol.asyncIterator in source || Symbol.iterator in source) {
+        yield* source;
+        return;
+    }
+    // Not all browsers can iterate a ReadableStream
+    let reader = source.getReader();
+    let done = false;
+    try {
+        while (true) {
+            let res = await reader.read();
+            if (res.done) {
+                done = true;
+                return;
+            }
+            yield res.value;
+        }
+    }
+    finally {
+        if (!done)
+            await reader.cancel();
+        reader.releaseLock();
+    }
+}
+function stream_shape(schema) {
+    if (plain_array(schema)) {
+        let [items, min = 0, max = Number.MAX_SAFE_INTEGER] = schema;
+        return { array: true, items, min, max };
+    }
+    if (is_plain_object(schema))
+        return { array: false, required: schema, optional: {}, min: 0, max: Number.MAX_SAFE_INTEGER };
+    let description = typeof schema === 'function' ? builtins.get(schema)?.description : undefined;
+    if (description?.kind === 'object' || description?.kind === 'plain_object') {
+        let { required, optional, min, max } = description;
+        return { array: false, required, optional, min, max };
+    }
+    return null;
+}
+function stream_validator(schema, options, max_errors) {
+    let context = new_context(options);
+    let errors = [];
+    let compiled_schemata = new Map();
+    let stack = [];
+    // What the next token may be
+    let expect = 'value';
+    // Turns the collected failures into errors, with the offset of the failing value
+    let flush = (offset_of) => {
+        for (let failure of context.errors) {
+            if (errors.length >= max_errors)
+                break;
+            let error = to_validation_error(failure);
+            let stream_error = { ...error, offset: offset_of(error) };
+            errors.push(stream_error);
+            options.onError?.(stream_error);
+        }
+        context.errors = [];
+    };
+    let report_at = (offset, path, value, schema, code, params = {}) => {
+        report(context, path, value, schema, code, params);
+        flush(() => offset);
+    };
+    // Validates a whole value. Errors inside it point at the offset of the deepest value we know.
+    let validate = (schema, value, path, offset, offsets) => {
+        let compiled = compiled_schemata.get(schema);
+        if (compiled === undefined) {
+            compiled = compile2(schema, '');
+            compiled_schemata.set(schema, compiled);
+        }
+        compiled(value, path, context);
+        let depth = path_segments(path).length;
+        flush((error) => {
+            let res = offset, inner = value;
+            for (let segment of error.path.slice(depth)) {
+                let known = offsets?.get(inner)?.get(segment);
+                if (known === undefined)
+                    break;
+                res = known;
+                inner = inner[segment];
+            }
+            return res;
+        });
+    };
+    // The offset is also available as a property, e.g. to show line numbers
+    let syntax_error = (what, offset) => Object.assign(new SyntaxError(`Unexpected ${what} in JSON at byte ${offset}`), { offset });
+    let begin_value = (token, literal, offset) => {
+        let top = stack.length > 0 ? stack[stack.length - 1] : null;
+        let mode = 'stream';
+        let value_schema = schema;
+        let path = null;
+        if (top !== null) {
+            mode = top.mode;
+            if (top.mode === 'build') {
+                let segment = top.array ? top.value.length : top.key;
+                top.offsets.get(top.value).set(segment, offset);
+            }
+            else if (top.mode === 'stream') {
+                let shape = top.shape;
+                path = { parent: top.path, segment: top.array ? top.count : top.key };
+                if (shape.array) {
+                    value_schema = shape.items;
+                    top.count++;
+                }
+                else if (top.failed) {
+                    mode = 'skip';
+                }
+                else if (has_own(shape.required, top.key) || has_own(shape.optional, top.key)) {
+                    value_schema = has_own(shape.required, top.key) ? shape.required[top.key] : shape.optional[top.key];
+                    if (!top.seen.has(top.key)) {
+                        top.seen.add(top.key);
+                        if (!has_own(shape.required, top.key))
+                            top.count++;
+                    }
+                }
+                else {
+                    mode = 'skip';
+                    if (context.unknown === 'report-all') {
+                        report_at(offset, path, undefined, top.schema, 'unexpected_property', { property: top.key });
+                    }
+                    else if (context.unknown !== 'strip') {
+                        report_at(top.offset, top.path, undefined, top.schema, 'unexpected_property', { property: top.key });
+                        top.failed = true;
+                    }
+                }
+            }
+        }
+        if (token === '[' || token === '{') {
+            let array = token === '[';
+            let frame = { mode, array, path, offset, schema: value_schema, shape: null, value: null, offsets: null, key: '', count: 0, seen: new Set(), failed: false };
+            if (mode === 'stream') {
+                frame.shape = stream_shape(value_schema);
+                // A value of the wrong type gets validated as a whole, which reports the type
+                if (frame.shape === null || frame.shape.array !== array)
+                    frame.mode = 'build';
+            }
+            if (frame.mode === 'build') {
+                frame.value = array ? [] : {};
+                frame.offsets = top?.mode === 'build' ? top.offsets : new Map();
+                frame.offsets.set(frame.value, new Map());
+            }
+            stack.push(frame);
+            expect = array ? 'first_value' : 'first_key';
+            return;
+        }
+        if (mode === 'build')
+            add_to(top, literal);
+        else if (mode === 'stream')
+            validate(value_schema, literal, path, offset, null);
+        expect = stack.length > 0 ? 'next' : 'end';
+    };
+    let add_to = (frame, value) => {
+        if (frame.array)
+            frame.value.push(value);
+        else
+            set_property(frame.value, frame.key, value);
+    };
+    let end_value = () => {
+        let frame = stack.pop();
+        let top = stack.length > 0 ? stack[stack.length - 1] : null;
+        if (frame.mode === 'build') {
+            if (top?.mode === 'build')
+                add_to(top, frame.value);
+            else
+                validate(frame.schema, frame.value, frame.path, frame.offset, frame.offsets);
+        }
+        else if (frame.mode === 'stream') {
+            let shape = frame.shape;
+            if (shape.array) {
+                if (frame.count < shape.min || frame.count > shape.max)
+                    report_at(frame.offset, frame.path, undefined, frame.schema, 'array_length', { length: frame.count, min: shape.min, max: shape.max });
+            }
+            else if (!frame.failed) {
+                for (let prop in shape.required) {
+                    if (!frame.seen.has(prop))
+                        report_at(frame.offset, { parent: frame.path, segment: prop }, undefined, frame.schema, 'missing_property', { property: prop });
+                }
+                if (frame.count < shape.min || frame.count > shape.max)
+                    report_at(frame.offset, frame.path, undefined, frame.schema, 'optional_count', { count: frame.count, min: shape.min, max: shape.max });
+            }
+        }
+        expect = top !== null ? 'next' : 'end';
+    };
+    let token = (token, value, offset) => {
+        let top = stack.length > 0 ? stack[stack.length - 1] : null;
+        switch (expect) {
+            case 'value':
+            case 'first_value':
+                if (token === ']' && expect === 'first_value')
+                    return end_value();
+                if (token === 'string' || token === 'literal' || token === '[' || token === '{')
+                    return begin_value(token, value, offset);
+                break;
+            case 'key':
+            case 'first_key':
+                if (token === '}' && expect === 'first_key')
+                    return end_value();
+                if (token === 'string') {
+                    top.key = value;
+                    expect = 'colon';
+                    return;
+                }
+                break;
+            case 'colon':
+                if (token === ':') {
+                    expect = 'value';
+                    return;
+                }
+                break;
+            case 'next':
+                if (token === ',') {
+                    expect = top.array ? 'value' : 'key';
+                    return;
+                }
+                if (token === (top.array ? ']' : '}'))
+                    return end_value();
+                break;
+        }
+        throw syntax_error(token === 'string' ? 'string' : token === 'literal' ? JSON.stringify(value) : `'${token}'`, offset);
+    };
+    // The tokenizer. Strings, numbers and literals may be split across chunks.
+    let state = 'none';
+    let parts = [];
+    let escaped = false;
+    // The byte offsets of the current token and of the next character
+    let start = 0, offset = 0;
+    let end_word = () => {
+        let word = parts.join('');
+        parts = [];
+        state = 'none';
+        let value = word === 'true' ? true : word === 'false' ? false : word === 'null' ? null : string_to_number(word);
+        if (string(value))
+            throw syntax_error(JSON.stringify(word), start);
+        token('literal', value, start);
+    };
+    return {
+        errors,
+        write(text) {
+            let i = 0;
+            while (i < text.length && errors.length < max_errors) {
+                if (state === 'string') {
+                    let j = i;
+                    for (; j < text.length; j++) {
+                        let c = text.charCodeAt(j);
+                        if (escaped)
+                            escaped = false;
+                        else if (c === 0x5c)
+                            escaped = true;
+                        else if (c === 0x22)
+                            break;
+                    }
+                    parts.push(text.slice(i, j));
+                    offset += utf8_length(text, i, j);
+                    i = j;
+                    if (i === text.length)
+                        break;
+                    // The closing quote
+                    i++;
+                    offset++;
+                    state = 'none';
+                    let raw = parts.join('');
+                    parts = [];
+                    let value;
+                    try {
+                        value = JSON.parse(`"${raw}"`);
+                    }
+                    catch (e) {
+                        throw syntax_error('string', start);
+                    }
+                    token('string', value, start);
+                    continue;
+                }
+                if (state === 'word') {
+                    let j = i;
+                    while (j < text.length && is_word_char(text.charCodeAt(j)))
+                        j++;
+                    parts.push(text.slice(i, j));
+                    offset += j - i;
+                    i = j;
+                    if (i < text.length)
+                        end_word();
+                    continue;
+                }
+                let c = text.charCodeAt(i);
+                if (c === 0x20 || c === 0x09 || c === 0x0a || c === 0x0d) {
+                    i++;
+                    offset++;
+                    continue;
+                }
+                start = offset;
+                if (c === 0x22) {
+                    state = 'string';
+                    i++;
+                    offset++;
+                    continue;
+                }
+                if (is_word_char(c)) {
+                    state = 'word';
+                    continue;
+                }
+                let char = text[i];
+                if (char !== '[' && char !== ']' && char !== '{' && char !== '}' && char !== ':' && char !== ',')
+                    throw syntax_error(`character ${JSON.stringify(String.fromCodePoint(text.codePointAt(i)))}`, offset);
+                i++;
+                offset++;
+                token(char, undefined, start);
+            }
+        },
+        end() {
+            if (state === 'word')
+                end_word();
+            if (state === 'string' || expect !== 'end')
+                throw syntax_error('end', offset);
+        },
+    };
+}
+// Numbers, true, false and null consist of these
+function is_word_char(c) {
+    return (c >= 0x30 && c <= 0x39) || (c >= 0x61 && c <= 0x7a) || (c >= 0x41 && c <= 0x5a) || c === 0x2d || c === 0x2b || c === 0x2e;
+}
+function utf8_length(text, start, end) {
+    let bytes = 0;
+    for (let i = start; i < end; i++) {
+        let c = text.charCodeAt(i);
+        // Each half of a surrogate pair counts for half of the four bytes
+        bytes += c < 0x80 ? 1 : c < 0x800 || (c >= 0xd800 && c < 0xe000) ? 2 : 3;
+    }
+    return bytes;
+}
+/**
+ * Returns what a schema consists of: its kind, its child schemata and its parameters.
+ *
+ * @param {any} schema
+ * @returns {object} a description, e.g. { kind: 'map', key: string, value: number, min: 0, max: 10 }
+ * @throws if the schema is invalid
+ */
+export function describe(schema) {
+    compile2(schema, '');
+    return describe2(schema);
+}
+// The properties of descriptions holding a single schema
+const child_schema_keys = new Set(['key', 'value', 'schema', 'condition', 'then_schema', 'else_schema']);
+// Same, for schemata known to be valid
+function describe2(schema) {
+    if (typeof schema === 'function') {
+        let builtin = builtins.get(schema);
+        if (builtin) {
+            // A copy, so changing it won't change the schema. Child schemata are not copied, so they keep their identity.
+            let res = {};
+            for (let [key, value] of Object.entries(builtin.description))
+                res[key] = child_schema_keys.has(key) ? value : Array.isArray(value) ? value.slice() : is_object(value) ? { ...value } : value;
+            return res;
+        }
+        let type = schema === object ? 'object' : schema === plain_object ? 'plain_object' : basic_types.get(schema);
+        if (type !== undefined)
+            return { kind: 'type', type };
+        let name = format_names.get(schema);
+        if (name !== undefined)
+            return { kind: 'format', name };
+        return { kind: 'custom', validator: schema };
+    }
+    if (schema instanceof RegExp)
+        return { kind: 'regexp', pattern: schema };
+    if (plain_array(schema)) {
+        let [items, min = 0, max = Number.MAX_SAFE_INTEGER] = schema;
+        return { kind: 'array_by_example', items, min, max };
+    }
+    if (is_plain_object(schema))
+        return { kind: 'object_by_example', properties: { ...schema } };
+    return { kind: 'literal', value: schema };
+}
+// The child schemata of a description, with their path inside the description
+function children_of(description) {
+    let entries = (key, children) => Object.entries(children).map(([prop, child]) => [[key, Array.isArray(children) ? Number(prop) : prop], child]);
+    switch (description.kind) {
+        case 'object':
+        case 'plain_object':
+            return [...entries('required', description.required), ...entries('optional', description.optional)];
+        case 'partial_object':
+        case 'object_by_example':
+            return entries('properties', description.properties);
+        case 'tuple':
+        case 'and':
+        case 'and_all':
+        case 'or':
+            return entries('schemata', description.schemata);
+        case 'union':
+            return entries('variants', description.variants);
+        case 'map':
+            return [[['key'], description.key], [['value'], description.value]];
+        case 'default':
+            return [[['schema'], description.schema]];
+        case 'array_by_example':
+            return [[['items'], description.items]];
+        case 'when': {
+            let res = [[['condition'], description.condition], [['then_schema'], description.then_schema]];
+            if (description.else_schema !== null)
+                res.push([['else_schema'], description.else_schema]);
+            return res;
+        }
+        default:
+            return [];
+    }
+}
+/**
+ * Visits a schema and all the schemata inside it, parents before their children.
+ *
+ * The path leads from the outermost description to the schema, e.g. ['required', 'name', 'schemata', 0].
+ * The schema a lazy() schema stands for is visited at ['schema'] below it, but only the first time that lazy() schema is reached.
+ *
+ * @param {any} schema
+ * @param {function} visitor called as visitor(schema, description, path)
+ * @throws if the schema is invalid
+ */
+export function walkSchema(schema, visitor) {
+    compile2(schema, '');
+    let seen = new Set();
+    let walk = (schema, path) => {
+        let description = describe2(schema);
+        if (visitor(schema, description, path) === false)
+            return;
+        if (description.kind === 'lazy') {
+            if (seen.has(schema))
+                return;
+            seen.add(schema);
+            let target = resolve_lazy(schema);
+            compile2(target, toJSPath([...path, 'schema']));
+            walk(target, [...path, 'schema']);
+            return;
+        }
+        for (let [segments, child] of children_of(description))
+            walk(child, [...path, ...segments]);
+    };
+    walk(schema, []);
+}
+// How much larger than their minimum generated arrays, maps and strings may be
+const generate_extra_items = 3;
+const generate_extra_chars = 8;
+// Below this depth of lazy() schemata, arrays, maps and optional properties are as small as allowed, and or() prefers its first variants.
+// Below the maximum, the recursion is given up, and or() tries its next variant.
+const generate_soft_depth = 4;
+const generate_max_depth = 20;
+// How many values to try for schemata we can't generate directly, like and(), before giving up
+const generate_attempts = 100;
+const too_deep = new Error('generate: the recursive schema needs values nested without end');
+export function generate(schema, options = {}) {
+    compile2(schema, '');
+    let state = { random: seeded_random(options.seed ?? 0), generators: options.generators ?? new Map(), depth: 0 };
+    return generate2(schema, [], state);
+}
+// mulberry32, which is small and good enough for test data
+function seeded_random(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(a ^ (a >>> 15), a | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+function random_int(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+function pick_one(random, items) {
+    return items[Math.floor(random() * items.length)];
+}
+// Fisher-Yates, on a copy
+function shuffled(random, items) {
+    let res = items.slice();
+    for (let i = res.length - 1; i > 0; i--) {
+        let j = random_int(random, 0, i);
+        [res[i], res[j]] = [res[j], res[i]];
+    }
+    return res;
+}
+function random_string(random, length, chars = 'abcdefghijklmnopqrstuvwxyz0123456789') {
+    let res = '';
+    for (let i = 0; i < length; i++)
+        res += pick_one(random, chars);
+    return res;
+}
+function generate2(schema, path, state) {
+    let { random } = state;
+    let generator = state.generators.get(schema);
+    if (generator !== undefined)
+        return generate_checked(schema, [() => generator(random)], path);
+    let description = describe2(schema);
+    let shallow = state.depth < generate_soft_depth;
+    let size = (min, max) => shallow ? random_int(random, min, Math.min(max, min + generate_extra_items)) : min;
+    switch (description.kind) {
+        case 'type':
+            return generate_type(description.type, random, 2);
+        case 'format': {
+            let format_generator = format_generators.get(format_registry.get(description.name));
+            if (format_generator === undefined)
+                throw new Error(`generate: no generator for the format ${description.name} at path '${toJSPath(path)}'`);
+            return format_generator(random);
+        }
+        case 'custom':
+            throw new Error(`generate: no generator for the custom function at path '${toJSPath(path)}'`);
+        case 'regexp': {
+            let node = regexp_node(description.pattern);
+            if (node === null)
+                throw new Error(`generate: no generator for the regular expression ${description.pattern} at path '${toJSPath(path)}'`);
+            return generate_checked(schema, [() => sample_regexp(node, random)], path);
+        }
+        case 'literal':
+            return description.value;
+        case 'array_by_example': {
+            let res = [];
+            for (let i = 0, n = size(description.min, description.max); i < n; i++)
+                res.push(generate2(description.items, [...path, i], state));
+            return res;
+        }
+        case 'object_by_example':
+        case 'partial_object':
+            return generate_properties(description.properties, Object.keys(description.properties), path, state);
+        case 'object':
+        case 'plain_object': {
+            let res = generate_properties(description.required, Object.keys(description.required), path, state);
+            let optional = Object.keys(description.optional);
+            let chosen = new Set(shuffled(random, optional).slice(0, size(description.min, Math.min(description.max, optional.length))));
+            Object.assign(res, generate_properties(description.optional, optional.filter((prop) => chosen.has(prop)), path, state));
+            return res;
+        }
+        case 'tuple':
+            return description.schemata.map((item, i) => generate2(item, [...path, i], state));
+        case 'map': {
+            let { key, value, min, max } = description;
+            return generate_checked(schema, [() => {
+                    let res = {};
+                    for (let i = 0, n = size(min, max); i < n; i++) {
+                        let prop = generate2(key, path, state);
+                        set_property(res, prop, generate2(value, [...path, prop], state));
+                    }
+                    return res;
+                }], path);
+        }
+        case 'and':
+        case 'and_all':
+            return generate_checked(schema, description.schemata.map((part) => () => generate2(part, path, state)), path);
+        case 'or':
+            return generate_variant(shallow ? shuffled(random, description.schemata) : description.schemata, path, state);
+        case 'union': {
+            let { tag, variants } = description;
+            let tags = Object.keys(variants);
+            return generate_variant(shallow ? shuffled(random, tags) : tags, path, state, (tag_value) => {
+                let res = generate2(variants[tag_value], path, state);
+                if (is_object(res) && !has_own(res, tag))
+                    set_property(res, tag, tag_value);
+                return res;
+            });
+        }
+        case 'default':
+            return generate2(description.schema, path, state);
+        case 'lazy': {
+            if (state.depth >= generate_max_depth)
+                throw too_deep;
+            state.depth++;
+            try {
+                return generate2(resolve_lazy(schema), path, state);
+            }
+            finally {
+                state.depth--;
+            }
+        }
+        case 'range': {
+            let { min, max } = description;
+            let low = Number.isFinite(min) ? min : Number.isFinite(max) ? max - 1000 : -1000;
+            let high = Number.isFinite(max) ? max : low + 2000;
+            return generate_checked(schema, [
+                () => random_int(random, Math.ceil(low), Math.floor(high)),
+                () => low + random() * (high - low),
+            ], path);
+        }
+        case 'multiple_of':
+            return description.factor * random_int(random, -100, 100);
+        case 'length':
+            return random_string(random, random_int(random, description.min, Math.min(description.max, description.min + generate_extra_chars)));
+        case 'non_empty':
+            return random_string(random, random_int(random, 1, generate_extra_chars));
+        case 'one_of':
+            return pick_one(random, description.values);
+        case 'unique':
+            return generate_checked(schema, [() => {
+                    let res = new Set();
+                    for (let i = 0, n = size(0, Number.MAX_SAFE_INTEGER); i < n; i++)
+                        res.add(random_string(random, generate_extra_chars));
+                    return [...res];
+                }], path);
+        case 'dependent_required':
+        case 'mutually_exclusive':
+            return {};
+        case 'when': {
+            let { then_schema, else_schema } = description;
+            return generate_checked(schema, [
+                () => generate2(then_schema, path, state),
+                () => else_schema === null ? generate_type('any', random, 2) : generate2(else_schema, path, state),
+            ], path);
+        }
+    }
+}
+function generate_properties(schemata, props, path, state) {
+    let res = {};
+    for (let prop of props)
+        set_property(res, prop, generate2(schemata[prop], [...path, prop], state));
+    return res;
+}
+// Tries the sources in turn until one of them returns a value matching the schema. Sources that throw are skipped,
+// e.g. a custom function inside and(), as long as another part of the schema can generate values.
+function generate_checked(schema, sources, path) {
+    let compiled = compile2(schema, '');
+    let failed = new Set();
+    for (let attempt = 0; attempt < generate_attempts; attempt++) {
+        let i = attempt % sources.length;
+        if (failed.has(i))
+            continue;
+        let value;
+        try {
+            value = sources[i]();
+        }
+        catch (e) {
+            failed.add(i);
+            if (e === too_deep || failed.size === sources.length)
+                throw e;
+            continue;
+        }
+        if (matches(compiled, value, new_context({})))
+            return value;
+    }
+    throw new Error(`generate: found no value matching the schema at path '${toJSPath(path)}'`);
+}
+// Generates one of the variants, or the next one if that fails. Inside deep recursion, the variants are tried in order.
+function generate_variant(variants, path, state, generate_one = (variant) => generate2(variant, path, state)) {
+    let error = null;
+    for (let variant of variants) {
+        try {
+            return generate_one(variant);
+        }
+        catch (e) {
+            if (error === null || error === too_deep)
+                error = e;
+        }
+    }
+    throw error;
+}
+// Any JSON value, or any value of a basic type
+function generate_type(type, random, depth) {
+    switch (type) {
+        case 'boolean':
+            return random() < 0.5;
+        case 'number':
+            return random() < 0.5 ? random_int(random, -1000, 1000) : Math.round(random() * 200000 - 100000) / 100;
+        case 'integer':
+            return random_int(random, -1000, 1000);
+        case 'string':
+            return random_string(random, random_int(random, 0, generate_extra_chars));
+        case 'array': {
+            let res = [];
+            for (let i = 0, n = random_int(random, 0, generate_extra_items); i < n; i++)
+                res.push(generate_type('any', random, depth - 1));
+            return res;
+        }
+        case 'object':
+        case 'plain_object': {
+            let res = {};
+            for (let i = 0, n = random_int(random, 0, generate_extra_items); i < n; i++)
+                res[random_string(random, random_int(random, 1, generate_extra_chars), 'abcdefghijklmnopqrstuvwxyz')] = generate_type('any', random, depth - 1);
+            return res;
+        }
+        default: {
+            let types = ['boolean', 'number', 'string', 'array', 'object'];
+            let chosen = random() < 0.1 ? null : pick_one(random, depth > 0 ? types : types.slice(0, 3));
+            return chosen === null ? null : generate_type(chosen, random, depth);
+        }
+    }
+}
+const two_digits = (n) => String(n).padStart(2, '0');
+const generate_date = (random) => `${random_int(random, 1970, 2099)}-${two_digits(random_int(random, 1, 12))}-${two_digits(random_int(random, 1, 28))}`;
+const generate_time = (random) => `${two_digits(random_int(random, 0, 23))}:${two_digits(random_int(random, 0, 59))}:${two_digits(random_int(random, 0, 59))}Z`;
+const generate_label = (random) => random_string(random, random_int(random, 1, generate_extra_chars), 'abcdefghijklmnopqrstuvwxyz');
+const hex = '0123456789abcdef';
+const format_generators = new Map([
+    [format_email, (random) => `${generate_label(random)}@example.com`],
+    [format_hostname, (random) => `${generate_label(random)}.example.com`],
+    [format_ipv4, (random) => [0, 0, 0, 0].map(() => random_int(random, 0, 255)).join('.')],
+    [format_ipv6, (random) => [0, 0, 0, 0, 0, 0, 0, 0].map(() => random_int(random, 0, 0xffff).toString(16)).join(':')],
+    [format_uri, (random) => `https://example.com/${generate_label(random)}`],
+    [format_uuid, (random) => [8, 4, 4, 4, 12].map((n) => random_string(random, n, hex)).join('-')],
+    [format_date, generate_date],
+    [format_time, generate_time],
+    [format_date_time, (random) => `${generate_date(random)}T${generate_time(random)}`],
+    [format_base64, (random) => btoa(random_string(random, random_int(random, 0, generate_extra_chars)))],
+    [format_semver, (random) => [0, 0, 0].map(() => random_int(random, 0, 20)).join('.')],
+]);
+const printable_chars = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)).join('');
+const regexp_classes = {
+    d: '0123456789',
+    w: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_',
+    s: ' \t',
+};
+const regexp_escapes = { n: '\n', r: '\r', t: '\t', f: '\f', v: '\v', '0': '\0' };
+// Parsed regular expressions, or null if we don't understand them
+const regexp_nodes = new WeakMap();
+function regexp_node(pattern) {
+    if (!regexp_nodes.has(pattern)) {
+        let node;
+        try {
+            node = parse_regexp(pattern.source);
+        }
+        catch (e) {
+            node = null;
+        }
+        regexp_nodes.set(pattern, node);
+    }
+    return regexp_nodes.get(pattern);
+}
+// Throws on anything it doesn't understand
+function parse_regexp(source) {
+    let i = 0;
+    let unsupported = () => new Error(`Unsupported regular expression syntax at ${i}`);
+    let alternatives = () => {
+        let options = [sequence()];
+        while (source[i] === '|') {
+            i++;
+            options.push(sequence());
+        }
+        return options.length === 1 ? options[0] : { kind: 'alternatives', options };
+    };
+    let sequence = () => {
+        let items = [];
+        while (i < source.length && source[i] !== '|' && source[i] !== ')')
+            items.push(quantified(atom()));
+        return { kind: 'sequence', items };
+    };
+    // A character, or all the characters of a class like \d
+    let escape = (in_class) => {
+        let c = source[i++];
+        if (c === undefined || /[1-9bBkcpP]/.test(c) && !(in_class && c === 'b'))
+            throw unsupported();
+        if (in_class && c === 'b')
+            return '\b';
+        if (has_own(regexp_classes, c))
+            return regexp_classes[c];
+        let lower = c.toLowerCase();
+        if (c !== lower && has_own(regexp_classes, lower))
+            return [...printable_chars].filter((char) => !regexp_classes[lower].includes(char)).join('');
+        if (has_own(regexp_escapes, c))
+            return regexp_escapes[c];
+        let code = c === 'x' ? /^[0-9A-Fa-f]{2}/.exec(source.slice(i)) : c === 'u' ? /^[0-9A-Fa-f]{4}/.exec(source.slice(i)) : null;
+        if (code !== null) {
+            i += code[0].length;
+            return String.fromCharCode(parseInt(code[0], 16));
+        }
+        if (c === 'x' || c === 'u')
+            throw unsupported();
+        return c;
+    };
+    let char_class = () => {
+        let negated = source[i] === '^';
+        if (negated)
+            i++;
+        let chars = '';
+        while (source[i] !== ']') {
+            if (i >= source.length)
+                throw unsupported();
+            let start = source[i++] === '\\' ? escape(true) : source[i - 1];
+            if (start.length === 1 && source[i] === '-' && source[i + 1] !== ']' && i + 1 < source.length) {
+                i++;
+                let end = source[i++] === '\\' ? escape(true) : source[i - 1];
+                if (end.length !== 1 || end < start)
+                    throw unsupported();
+                for (let code = start.charCodeAt(0); code <= end.charCodeAt(0); code++)
+                    chars += String.fromCharCode(code);
+            }
+            else
+                chars += start;
+        }
+        i++;
+        if (negated)
+            chars = [...printable_chars].filter((char) => !chars.includes(char)).join('');
+        if (chars === '')
+            throw unsupported();
+        return { kind: 'chars', chars };
+    };
+    let atom = () => {
+        let c = source[i++];
+        switch (c) {
+            case '^':
+            case '$':
+                return { kind: 'sequence', items: [] };
+            case '(': {
+                if (source.startsWith('?:', i))
+                    i += 2;
+                else if (source.startsWith('?<', i) && !/[=!]/.test(source[i + 2])) {
+                    i = source.indexOf('>', i) + 1;
+                    if (i === 0)
+                        throw unsupported();
+                }
+                else if (source[i] === '?')
+                    throw unsupported();
+                let node = alternatives();
+                if (source[i++] !== ')')
+                    throw unsupported();
+                return node;
+            }
+            case '[':
+                return char_class();
+            case '.':
+                return { kind: 'chars', chars: printable_chars };
+            case '\\':
+                return { kind: 'chars', chars: escape(false) };
+            case '*':
+            case '+':
+            case '?':
+            case '{':
+            case ']':
+            case '}':
+                throw unsupported();
+            default:
+                return { kind: 'chars', chars: c };
+        }
+    };
+    let quantified = (node) => {
+        let c = source[i];
+        let min, max;
+        if (c === '*' || c === '+' || c === '?') {
+            i++;
+            min = c === '+' ? 1 : 0;
+            max = c === '?' ? 1 : min + generate_extra_items;
+        }
+        else if (c === '{') {
+            let match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+            if (match === null)
+                throw unsupported();
+            i += match[0].length;
+            min = Number(match[1]);
+            max = match[2] === undefined ? min : match[3] === '' ? min + generate_extra_items : Number(match[3]);
+        }
+        else
+            return node;
+        // Lazy quantifiers match the same strings
+        if (source[i] === '?')
+            i++;
+        return { kind: 'repeat', node, min, max };
+    };
+    let node = alternatives();
+    if (i < source.length)
+        throw unsupported();
+    return node;
+}
+function sample_regexp(node, random) {
+    switch (node.kind) {
+        case 'chars':
+            return pick_one(random, node.chars);
+        case 'sequence':
+            return node.items.map((item) => sample_regexp(item, random)).join('');
+        case 'alternatives':
+            return sample_regexp(pick_one(random, node.options), random);
+        case 'repeat': {
+            let res = '';
+            for (let i = 0, n = random_int(random, node.min, node.max); i < n; i++)
+                res += sample_regexp(node.node, random);
+            return res;
+        }
+    }
+}
+/**
+ * Changes one part of a value matching a schema, so it no longer matches, e.g. to test that invalid input is rejected.
+ *
+ * A random part of the value is replaced by a value of another type or a slightly different one, or an element or property
+ * is removed or added. Only changes making the value fail are picked.
+ *
+ * @param {any} schema
+ * @param {any} value a value matching the schema
+ * @param {object} options the seed, and the options of validateJSON() to validate with
+ * @returns {object} { value, path, change, errors }
+ * @throws if the schema is invalid, the value doesn't match, or no change makes it fail
+ */
+export function mutate(schema, value, options = {}) {
+    let compiled = compile2(schema, '');
+    let errors = (value) => {
+        let context = new_context(options);
+        compiled(value, null, context);
+        return context.errors;
+    };
+    if (errors(value).length > 0)
+        throw new Error('mutate: the value does not match the schema');
+    let changes = [];
+    possible_changes(value, [], changes);
+    for (let change of shuffled(seeded_random(options.seed ?? 0), changes)) {
+        let mutated = apply_change(value, change, 0);
+        let failures = errors(mutated);
+        if (failures.length > 0)
+            return { value: mutated, path: change.path, change: change.change, errors: failures.map(to_validation_error) };
+    }
+    throw new Error('mutate: no change makes the value fail');
+}
+function possible_changes(value, path, changes) {
+    for (let replacement of near_misses(value))
+        changes.push({ path, change: 'replace', value: replacement });
+    if (array(value)) {
+        value.forEach((item, i) => {
+            changes.push({ path: [...path, i], change: 'remove', value: undefined });
+            possible_changes(item, [...path, i], changes);
+        });
+        changes.push({ path: [...path, value.length], change: 'add', value: value.length > 0 ? value[0] : null });
+    }
+    else if (is_object(value)) {
+        let extra = 'unexpected';
+        for (let prop of Object.keys(value)) {
+            changes.push({ path: [...path, prop], change: 'remove', value: undefined });
+            possible_changes(value[prop], [...path, prop], changes);
+            if (prop === extra)
+                extra += '_';
+        }
+        while (has_own(value, extra))
+            extra += '_';
+        changes.push({ path: [...path, extra], change: 'add', value: null });
+    }
+}
+// Values of other types, and small changes to the value itself, which tend to cross the limits of constraints
+function near_misses(value) {
+    let res = [null, true, 0, 'x', [], {}];
+    if (number(value))
+        res.push(value + 1, value - 1, -value, value + 0.5, value * 10);
+    else if (string(value))
+        res.push('', `${value}x`, value.slice(1), value.repeat(10), value.toUpperCase(), value.toLowerCase());
+    else if (boolean(value))
+        res.push(!value);
+    let original = canonical_json(value);
+    return res.filter((replacement) => canonical_json(replacement) !== original);
+}
+// Returns a copy of the value with the change made, copying only the arrays and objects on its path
+function apply_change(value, change, index) {
+    if (index === change.path.length)
+        return change.value;
+    let segment = change.path[index];
+    let remove = change.change === 'remove' && index === change.path.length - 1;
+    if (array(value)) {
+        let res = value.slice();
+        if (remove)
+            res.splice(segment, 1);
+        else
+            res[segment] = apply_change(value[segment], change, index + 1);
+        return res;
+    }
+    let res = { ...value };
+    if (remove)
+        delete res[segment];
+    else
+        set_property(res, segment, apply_change(res[segment], change, index + 1));
+    return res;
+}
+const patch_operations = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+/**
+ * Validates a JSON Patch (RFC 6902) against the schema of the document it applies to, without validating the whole document.
+ *
+ * The operations are applied to a copy of the document. Operations adding values at paths the schema does not allow are
+ * skipped and reported, and each part of the patched document changed by the others is validated against the matching part of the schema.
+ * A patch that cannot be applied, e.g. because of a failing test operation, fails with a single error.
+ *
+ * @param {any} schema the schema of the document
+ * @param {any} document the document before patching, which is not modified
+ * @param {array} patch the operations, e.g. [{ op: 'add', path: '/tags/-', value: 'new' }]
+ * @param {object} options
+ * @returns {true|Array} true, or a list of ValidationErrors with the index of the operation causing them
+ * @throws if the schema is invalid
+ */
+export function validatePatch(schema, document, patch, options = {}) {
+    compile2(schema, '');
+    let context = new_context(options);
+    if (!array(patch))
+        return [patch_error(context, null, [], patch, null, 'invalid_patch')];
+    let root = copy_json(document);
+    let changes = [];
+    let errors = [];
+    // Keeps the changes pointing at the same part of the document when array elements shift. Changes inside a removed value
+    // move to its container (shift -1), and changes inside a replaced value to the value itself (shift 0).
+    let moved = (parent, key, shift) => {
+        for (let change of changes) {
+            if (change.path.length <= parent.length || !is_prefix(parent, change.path))
+                continue;
+            let segment = change.path[parent.length];
+            if (segment === key && shift <= 0)
+                change.path = change.path.slice(0, parent.length + shift + 1);
+            else if (shift !== 0 && number(segment) && number(key) && segment >= key)
+                change.path[parent.length] = segment + shift;
+        }
+    };
+    // Whether adding or removing the property can make its object fail. Array elements always affect their array.
+    let affects_container = (parent, container, key) => {
+        let location = follow_path(schema, root, parent, context.unknown);
+        return array(container) || location.depth < parent.length || property_affects_object(location.schema, container, key);
+    };
+    let remove = (path, operation) => {
+        let parent = path.slice(0, -1), key = path[path.length - 1];
+        let container = value_at(root, parent);
+        let affects = affects_container(parent, container, key);
+        if (array(container))
+            container.splice(key, 1);
+        else
+            delete container[key];
+        moved(parent, key, -1);
+        if (affects)
+            changes.push({ path: parent, operation });
+    };
+    let add = (path, value, replace, operation) => {
+        if (path.length === 0) {
+            root = value;
+            for (let change of changes)
+                change.path = [];
+            changes.push({ path: [], operation });
+            return;
+        }
+        let parent = path.slice(0, -1), key = path[path.length - 1];
+        let container = value_at(root, parent);
+        if (array(container) && !replace) {
+            container.splice(key, 0, value);
+            moved(parent, key, 1);
+            changes.push({ path: parent, operation });
+            return;
+        }
+        let affects = !has_own(container, key) && affects_container(parent, container, key);
+        set_property(container, key, value);
+        moved(parent, key, 0);
+        changes.push({ path: affects ? parent : path, operation });
+    };
+    // The path of a value to add, with array indexes as numbers, or null if its container doesn't exist
+    let add_path = (pointer, replace) => {
+        if (pointer.length === 0)
+            return [];
+        let parent = resolve_pointer(root, pointer.slice(0, -1));
+        let key = parent && pointer_key(parent.value, pointer[pointer.length - 1], !replace);
+        return parent && key !== null ? [...parent.path, key] : null;
+    };
+    for (let i = 0; i < patch.length; i++) {
+        let operation = patch[i];
+        let { op, path, from, value } = (is_object(operation) ? operation : {});
+        let target = parse_json_pointer(path);
+        let source = op === 'move' || op === 'copy' ? parse_json_pointer(from) : [];
+        if (!patch_operations.includes(op) || target === null || source === null || (['add', 'replace', 'test'].includes(op) && !has_own(operation, 'value')))
+            return [patch_error(context, i, [], operation, null, 'invalid_patch')];
+        if (op === 'move' && target.length > source.length && is_prefix(source, target))
+            return [patch_error(context, i, [], operation, null, 'invalid_patch')];
+        if (op === 'test') {
+            let found = resolve_pointer(root, target);
+            if (found === null)
+                return [patch_error(context, i, indexed_path(root, target), undefined, null, 'missing_target')];
+            if (canonical_json(found.value) !== canonical_json(value))
+                return [patch_error(context, i, found.path, found.value, null, 'test_failed')];
+            continue;
+        }
+        // Where a value is removed, by remove and move
+        let removed = null;
+        if (op === 'remove' || op === 'move') {
+            let pointer = op === 'remove' ? target : source;
+            let found = resolve_pointer(root, pointer);
+            if (found === null)
+                return [patch_error(context, i, indexed_path(root, pointer), undefined, null, 'missing_target')];
+            if (found.path.length === 0)
+                return [patch_error(context, i, [], operation, null, 'invalid_patch')];
+            removed = found.path;
+            value = found.value;
+        }
+        if (op === 'copy') {
+            let found = resolve_pointer(root, source);
+            if (found === null)
+                return [patch_error(context, i, indexed_path(root, source), undefined, null, 'missing_target')];
+            value = found.value;
+        }
+        // Where a value is added, by all the others. A move may shift array elements, so it's looked up again below.
+        let added = op === 'remove' ? null : add_path(target, op === 'replace');
+        if (added === null && op !== 'remove')
+            return [patch_error(context, i, indexed_path(root, target), undefined, null, 'missing_target')];
+        // Removing is always allowed, as it cannot add anything the schema doesn't allow
+        let location = added && follow_path(schema, root, added, context.unknown);
+        if (location && !location.allowed) {
+            errors.push(patch_error(context, i, added, value, location.schema, 'path_not_allowed'));
+            continue;
+        }
+        value = copy_json(value);
+        if (removed !== null)
+            remove(removed, i);
+        if (op === 'remove')
+            continue;
+        if (op === 'move')
+            added = add_path(target, false);
+        if (added === null)
+            return [patch_error(context, i, indexed_path(root, target), undefined, null, 'missing_target')];
+        add(added, value, op === 'replace', i);
+    }
+    errors.push(...validate_changes(schema, root, changes, context));
+    return errors.length === 0 ? true : errors;
+}
+/**
+ * Validates a JSON Merge Patch (RFC 7386) against the schema of the document it applies to, without validating the whole document.
+ *
+ * Properties of the patch the schema does not allow are skipped and reported, except those removing a property. Each part of the document changed by the patch is
+ * validated against the matching part of the schema, after merging.
+ *
+ * @param {any} schema the schema of the document
+ * @param {any} document the document before patching, which is not modified
+ * @param {any} patch the changed properties, with null for those to remove
+ * @param {object} options
+ * @returns {true|Array} true, or a list of ValidationErrors, with paths into the patched document
+ * @throws if the schema is invalid
+ */
+export function validateMergePatch(schema, document, patch, options = {}) {
+    compile2(schema, '');
+    let context = new_context(options);
+    let changes = [];
+    let errors = [];
+    // The schema is undefined below the parts it can't be followed into
+    let merge = (target, patch, path, schema) => {
+        if (!is_object(patch)) {
+            changes.push({ path, operation: 0 });
+            return copy_json(patch);
+        }
+        if (!is_object(target)) {
+            changes.push({ path, operation: 0 });
+            target = {};
+        }
+        let res = { ...target };
+        // Variants of union() are picked by the tag after merging
+        let merged = { ...res, ...patch };
+        for (let [key, value] of Object.entries(patch)) {
+            let affects = schema === undefined || property_affects_object(schema, merged, key);
+            if (value === null) {
+                if (has_own(res, key)) {
+                    delete res[key];
+                    if (affects)
+                        changes.push({ path, operation: 0 });
+                }
+                continue;
+            }
+            let child = schema === undefined ? undefined : child_schema(schema, merged, key, context.unknown);
+            if (child === null) {
+                let { operation, ...error } = patch_error(context, null, [...path, key], value, schema, 'path_not_allowed');
+                errors.push(error);
+                continue;
+            }
+            if (!has_own(res, key) && affects)
+                changes.push({ path, operation: 0 });
+            set_property(res, key, merge(res[key], value, [...path, key], child));
+        }
+        return res;
+    };
+    let root = merge(document, patch, [], schema);
+    errors.push(...validate_changes(schema, root, changes, context).map(({ operation, ...error }) => error));
+    return errors.length === 0 ? true : errors;
+}
+function patch_error(context, operation, path, value, schema, code) {
+    let nested = nested_context(context);
+    report(nested, to_path(path), value, schema, code);
+    return { ...to_validation_error(nested.errors[0]), operation };
+}
+// Validates each changed part of the patched document, or rather the closest part containing it the schema can be followed to.
+// Each part is validated once. Its errors are blamed on the operation that changed the failing value most closely, the last one
+// if there are several, or else on the last one changing the part.
+function validate_changes(schema, root, changes, context) {
+    let located = changes.map((change) => {
+        let path = existing_path(root, change.path);
+        let { schema: part, depth } = follow_path(schema, root, path, context.unknown);
+        return { path: path.slice(0, depth), schema: part, change };
+    }).sort((a, b) => a.path.length - b.path.length);
+    let parts = [];
+    for (let { path, schema, change } of located) {
+        let part = parts.find((part) => is_prefix(part.path, path));
+        if (part === undefined)
+            parts.push(part = { path, schema, changes: [] });
+        part.changes.push(change);
+    }
+    let errors = [];
+    for (let part of parts) {
+        let nested = nested_context(context);
+        compile2(part.schema, '')(value_at(root, part.path), to_path(part.path), nested);
+        for (let failure of nested.errors) {
+            let error = to_validation_error(failure);
+            let closest = part.changes.filter((change) => is_prefix(change.path, error.path));
+            let depth = Math.max(...closest.map(({ path }) => path.length));
+            closest = closest.filter(({ path }) => path.length === depth);
+            errors.push({ ...error, operation: Math.max(...(closest.length > 0 ? closest : part.changes).map(({ operation }) => operation)) });
+        }
+    }
+    return errors;
+}
+// Follows a path into the document through the schema, as far as the schema can be followed. Returns the schema there,
+// how many segments of the path it got through, and whether the schema allows the next segment at all.
+function follow_path(schema, value, path, unknown) {
+    let depth = 0;
+    for (; depth < path.length; depth++) {
+        let child = child_schema(schema, value, path[depth], unknown);
+        if (child === null)
+            return { schema, depth, allowed: false };
+        if (child === undefined)
+            break;
+        schema = child;
+        value = (is_object(value) || array(value)) && has_own(value, path[depth]) ? value[path[depth]] : undefined;
+    }
+    return { schema, depth, allowed: true };
+}
+// The schema of a property or element. Undefined if the schema can't be followed there, e.g. into or() or a custom function,
+// and null if the schema doesn't allow the property or element at all.
+function child_schema(schema, value, segment, unknown) {
+    let description = unwrapped_description(schema);
+    let is_index = number(segment) || /^(0|[1-9]\d*)$/.test(segment);
+    let property = (properties, closed) => {
+        for (let schemata of properties) {
+            if (has_own(schemata, segment))
+                return schemata[segment];
+        }
+        return closed && unknown !== 'strip' ? null : undefined;
+    };
+    switch (description.kind) {
+        case 'object':
+        case 'plain_object':
+            return property([description.required, description.optional], true);
+        case 'object_by_example':
+            return property([description.properties], true);
+        case 'partial_object':
+            return property([description.properties], false);
+        case 'map':
+            return matches(compile2(description.key, ''), String(segment), new_context({})) ? description.value : null;
+        case 'array_by_example':
+            return is_index ? description.items : null;
+        case 'tuple':
+            return is_index && Number(segment) < description.schemata.length ? description.schemata[Number(segment)] : null;
+        case 'union': {
+            let { tag, variants } = description;
+            let tag_value = is_object(value) ? value[tag] : undefined;
+            if (segment === tag || !string(tag_value) || !has_own(variants, tag_value))
+                return undefined;
+            return child_schema(variants[tag_value], value, segment, unknown);
+        }
+        case 'type':
+            return description.type === 'array' ? (is_index ? undefined : null) : description.type === 'object' || description.type === 'plain_object' ? undefined : null;
+        case 'literal':
+        case 'regexp':
+        case 'range':
+        case 'multiple_of':
+        case 'length':
+        case 'one_of':
+            return null;
+        default:
+            return undefined;
+    }
+}
+// Whether adding or removing a property can make the object fail, e.g. because it is required.
+// If not, validating the value of the property is enough.
+function property_affects_object(schema, value, key) {
+    let description = unwrapped_description(schema);
+    switch (description.kind) {
+        case 'object':
+        case 'plain_object':
+            return has_own(description.required, key) || description.min > 0 || description.max < Number.MAX_SAFE_INTEGER;
+        case 'object_by_example':
+        case 'partial_object':
+            return has_own(description.properties, key);
+        case 'map':
+            return description.min > 0 || description.max < Number.MAX_SAFE_INTEGER;
+        case 'union': {
+            let { tag, variants } = description;
+            let tag_value = is_object(value) ? value[tag] : undefined;
+            return key === tag || !string(tag_value) || !has_own(variants, tag_value) || property_affects_object(variants[tag_value], value, key);
+        }
+        default:
+            return true;
+    }
+}
+// Describes the schema a lazy() or with_default() schema stands for
+function unwrapped_description(schema) {
+    let description = describe2(schema);
+    while (description.kind === 'lazy' || description.kind === 'default') {
+        schema = description.kind === 'lazy' ? resolve_lazy(schema) : description.schema;
+        description = describe2(schema);
+    }
+    return description;
+}
+// The segments of a JSON Pointer, or null if it isn't one
+function parse_json_pointer(pointer) {
+    if (!string(pointer) || (pointer !== '' && !pointer.startsWith('/')))
+        return null;
+    return pointer === '' ? [] : pointer.substring(1).split('/').map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+// Follows a JSON Pointer through the document. Returns the value with its path, where array indexes are numbers,
+// or null if there is no such value.
+function resolve_pointer(root, pointer) {
+    let path = [];
+    let value = root;
+    for (let segment of pointer) {
+        let key = pointer_key(value, segment, false);
+        if (key === null)
+            return null;
+        path.push(key);
+        value = value[key];
+    }
+    return { path, value };
+}
+// The key of a segment in an array or object, or null if there is no such element or property.
+// When adding, new properties, '-' and the length of an array are allowed as well.
+function pointer_key(container, segment, adding) {
+    if (array(container)) {
+        if (adding && segment === '-')
+            return container.length;
+        let index = /^(0|[1-9]\d*)$/.test(segment) ? Number(segment) : Infinity;
+        return index < container.length + (adding ? 1 : 0) ? index : null;
+    }
+    if (is_object(container))
+        return adding || has_own(container, segment) ? segment : null;
+    return null;
+}
+function value_at(root, path) {
+    return path.reduce((value, segment) => value[segment], root);
+}
+// Array indexes become numbers where the document has an array, also along a path that doesn't exist
+function indexed_path(root, segments) {
+    let value = root;
+    return segments.map((segment) => {
+        let container = value;
+        value = (is_object(container) || array(container)) && has_own(container, segment) ? container[segment] : undefined;
+        if (array(container) && /^(0|[1-9]\d*)$/.test(String(segment)))
+            return Number(segment);
+        return is_object(container) ? String(segment) : segment;
+    });
+}
+// The part of the path that exists in the document
+function existing_path(root, path) {
+    let value = root;
+    for (let i = 0; i < path.length; i++) {
+        if ((!is_object(value) && !array(value)) || !has_own(value, path[i]))
+            return path.slice(0, i);
+        value = value[path[i]];
+    }
+    return path;
+}
+function is_prefix(prefix, path) {
+    return prefix.length <= path.length && prefix.every((segment, i) => segment === path[i]);
+}
+function to_path(segments) {
+    let path = null;
+    for (let segment of segments)
+        path = { parent: path, segment };
+    return path;
+}
+/**
+ * Keeps the state of a form editing a value: the draft, its errors, and the fields touched by the user.
+ *
+ * Changing a field only validates that field, and the parts of the schema enclosing it which can't be followed to it,
+ * like the cross-field rules of and(), when() or custom functions. Errors are only shown for touched fields, and for the
+ * objects and arrays containing them, so a missing property is not reported before the user got to it.
+ *
+ * @param {any} schema
+ * @param {any} initial the initial draft, which is validated right away
+ * @param {object} options see validateJSON(), except for errors, errorFormat and hardened. Messages default to englishMessages.
+ * @returns {object} the FormState
+ * @throws if the schema is invalid or the schema throws
+ */
+export function formState(schema, initial, options = {}) {
+    compile2(schema, '');
+    let context_options = { ...options, messages: options.messages ?? messageFormatter(englishMessages) };
+    let unknown = options.unknown ?? 'fail';
+    let draft = initial;
+    let errors = [];
+    let touched = [];
+    // Replaces the errors the part of the schema reported for the value at the path
+    let validate_part = (path, part) => {
+        discard(path, part);
+        let context = new_context(context_options);
+        compile2(part, '')(value_at(draft, path), to_path(path), context);
+        errors.push(...context.errors.map(to_validation_error));
+    };
+    // Forgets the errors the part of the schema reported for the value at the path, or all of them without a part
+    let discard = (path, part) => {
+        let nodes = part === null ? null : schema_nodes(part);
+        errors = errors.filter((error) => !is_prefix(path, error.path) || (nodes !== null && !nodes.has(error.schema)));
+    };
+    // Whether the part of the schema reported errors for the value at the path, or only for the value itself
+    let failed = (path, part, itself = false) => {
+        let nodes = schema_nodes(part);
+        return errors.some((error) => is_prefix(path, error.path) && (!itself || error.path.length === path.length) && nodes.has(error.schema));
+    };
+    // The schema of a property or element like child_schema(), following and() into the first schema leading there
+    let field_schema = (part, value, segment) => {
+        let description = unwrapped_description(part);
+        if (description.kind !== 'and' && description.kind !== 'and_all')
+            return child_schema(part, value, segment, unknown);
+        let followed = description.schemata.find((schema) => leads_to(schema, value, segment));
+        return followed === undefined ? undefined : field_schema(followed, value, segment);
+    };
+    let leads_to = (part, value, segment) => {
+        let child = field_schema(part, value, segment);
+        return child !== null && child !== undefined;
+    };
+    // Whether adding or removing the property can make its object fail, see property_affects_object()
+    let affects_container = (path, container, key) => {
+        let part = schema;
+        for (let i = 0; i < path.length && part !== null && part !== undefined; i++)
+            part = field_schema(part, value_at(draft, path.slice(0, i)), path[i]);
+        while (part !== null && part !== undefined) {
+            let description = unwrapped_description(part);
+            if (description.kind !== 'and' && description.kind !== 'and_all')
+                return property_affects_object(part, container, key);
+            part = description.schemata.find((schema) => leads_to(schema, container, key));
+        }
+        return true;
+    };
+    // Follows the schema along the changed path, validating the parts which can't be followed any further
+    let revalidate = (part, changed, depth) => {
+        let path = changed.slice(0, depth);
+        if (existing_path(draft, path).length < depth)
+            return discard(path, null);
+        let value = value_at(draft, path);
+        let description = unwrapped_description(part);
+        if (depth < changed.length && (description.kind === 'and' || description.kind === 'and_all')) {
+            let { kind, schemata } = description;
+            let followed = schemata.findIndex((schema) => leads_to(schema, value, changed[depth]));
+            if (followed >= 0) {
+                schemata.forEach((schema, i) => {
+                    // and() only checks a schema if the ones before it pass
+                    if (kind === 'and' && schemata.slice(0, i).some((previous) => failed(path, previous)))
+                        discard(path, schema);
+                    else if (i === followed)
+                        revalidate(schema, changed, depth);
+                    else
+                        validate_part(path, schema);
+                });
+                return;
+            }
+        }
+        let child = depth < changed.length ? child_schema(part, value, changed[depth], unknown) : null;
+        // Objects with unexpected properties aren't checked any further, so changes may reveal or hide the errors inside
+        if (child === null || child === undefined || failed(path, part, true))
+            validate_part(path, part);
+        else
+            revalidate(child, changed, depth + 1);
+    };
+    let validate_all = () => {
+        errors = [];
+        validate_part([], schema);
+    };
+    let shown = (error) => touched.some((path) => is_prefix(path, error.path) || is_prefix(error.path, path));
+    let touch = (path) => {
+        if (!touched.some((previous) => is_prefix(previous, path)))
+            touched = [...touched.filter((previous) => !is_prefix(path, previous)), path];
+    };
+    validate_all();
+    return {
+        get value() {
+            return draft;
+        },
+        get valid() {
+            return errors.length === 0;
+        },
+        set(field, value) {
+            let path = field_path(draft, field);
+            let existing = existing_path(draft, path).length;
+            touch(path);
+            if (existing < path.length && value === undefined)
+                return;
+            // The index of the property or element added or removed, if any
+            let key_index = existing < path.length ? existing : value === undefined ? path.length - 1 : -1;
+            let parent = path.slice(0, Math.max(key_index, 0)), key = path[key_index];
+            let container = value_at(draft, parent);
+            let changed = path;
+            if (key_index >= 0) {
+                if (array(container) || affects_container(parent, container, key))
+                    changed = parent;
+                else if (value !== undefined)
+                    changed = path.slice(0, key_index + 1);
+                if (array(container) && value === undefined)
+                    touched = shifted(touched, parent, key);
+            }
+            draft = updated(draft, path, 0, value);
+            revalidate(schema, changed, 0);
+        },
+        touch(field) {
+            touch(field_path(draft, field));
+        },
+        isTouched(field) {
+            let path = field_path(draft, field);
+            return touched.some((previous) => is_prefix(previous, path));
+        },
+        errors(field) {
+            let path = field === undefined ? null : toJSONPointer(field_path(draft, field));
+            return errors.filter((error) => shown(error) && (path === null || toJSONPointer(error.path) === path));
+        },
+        submit() {
+            touched = [[]];
+            validate_all();
+            return errors.length === 0 ? true : errors;
+        },
+        reset(value = initial) {
+            draft = value;
+            touched = [];
+            validate_all();
+        },
+    };
+}
+function field_path(draft, field) {
+    let segments = string(field) ? parse_json_pointer(field) : array(field) ? field : null;
+    if (segments === null)
+        throw new Error(`formState: invalid path ${JSON.stringify(field)}`);
+    return indexed_path(draft, segments);
+}
+// A copy of the value with the one at the path replaced, creating the objects and arrays leading to it
+function updated(value, path, depth, replacement) {
+    if (depth === path.length)
+        return replacement;
+    let key = path[depth];
+    if (array(value) || (!is_object(value) && number(key))) {
+        let copy = array(value) ? value.slice() : [];
+        if (!number(key) || key > copy.length)
+            throw new Error(`formState: no element ${JSON.stringify(key)} in array at ${toJSONPointer(path.slice(0, depth))}`);
+        let child = updated(copy[key], path, depth + 1, replacement);
+        if (child === undefined)
+            copy.splice(key, 1);
+        else
+            copy[key] = child;
+        return copy;
+    }
+    let copy = is_object(value) ? { ...value } : {};
+    let child = updated(has_own(copy, key) ? copy[key] : undefined, path, depth + 1, replacement);
+    if (child === undefined)
+        delete copy[key];
+    else
+        set_property(copy, String(key), child);
+    return copy;
+}
+// The paths after removing an element from the array at the parent path
+function shifted(paths, parent, index) {
+    return paths.flatMap((path) => {
+        let segment = path[parent.length];
+        if (path.length <= parent.length || !is_prefix(parent, path) || !number(segment) || segment < index)
+            return [path];
+        return segment === index ? [] : [[...parent, segment - 1, ...path.slice(parent.length + 1)]];
+    });
+}
+const schema_node_cache = new WeakMap();
+// The schema and all the schemata inside it
+function schema_nodes(schema) {
+    if ((typeof schema !== 'object' && typeof schema !== 'function') || schema === null)
+        return new Set([schema]);
+    let nodes = schema_node_cache.get(schema);
+    if (nodes === undefined) {
+        nodes = new Set();
+        walkSchema(schema, (node) => {
+            nodes.add(node);
+        });
+        schema_node_cache.set(schema, nodes);
+    }
+    return nodes;
+}
+/**
+ * Converts a schema into a JSON Schema (draft 2020-12) document.
+ *
+ * Custom functions cannot be converted. Unless options.untranslatable provides a replacement, they cause an exception.
+ *
+ * @param {any} schema
+ * @param {object} options
+ * @returns {object} the JSON Schema document
+ * @throws if the schema is invalid or cannot be converted
+ */
+export function toJSONSchema(schema, options = {}) {
+    // Throw on invalid schemata before converting them, e.g. objects containing themselves.
+    compile2(schema, '');
+    let definitions = { names: new Map(), $defs: {} };
+    let res = {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        ...to_json_schema(schema, '', options, definitions),
+    };
+    if (definitions.names.size > 0)
+        res.$defs = definitions.$defs;
+    return res;
+}
+// The pointer is a JSON Pointer into the generated document
+function to_json_schema(schema, pointer, options, definitions) {
+    let untranslatable = () => {
+        let res = options.untranslatable?.(schema, pointer);
+        if (res === undefined)
+            throw new Error(`Cannot convert schema at '${pointer}' to JSON Schema`);
+        return res;
+    };
+    let convert_all = (schemata, keyword) => schemata.map((schema, i) => to_json_schema(schema, `${pointer}/${keyword}/${i}`, options, definitions));
+    let convert_properties = (properties) => {
+        let res = {};
+        for (let prop in properties)
+            res[prop] = to_json_schema(properties[prop], `${pointer}/properties/${escape_json_pointer(prop)}`, options, definitions);
+        return res;
+    };
+    if (typeof schema === 'function') {
+        if (schema === boolean)
+            return { type: 'boolean' };
+        if (schema === number)
+            return { type: 'number' };
+        if (schema === integer)
+            return { type: 'integer' };
+        if (schema === string)
+            return { type: 'string' };
+        if (schema === array)
+            return { type: 'array' };
+        if (schema === object || schema === plain_object)
+            return { type: 'object' };
+        let format_name = format_names.get(schema);
+        if (format_name !== undefined)
+            return has_own(formats, format_name) ? { type: 'string', format: format_name } : { format: format_name };
+        let description = builtins.get(schema)?.description;
+        if (!description)
+            return untranslatable();
+        switch (description.kind) {
+            case 'object':
+            case 'plain_object': {
+                let { required, optional, min, max } = description;
+                let required_count = Object.keys(required).length;
+                let res = {
+                    type: 'object',
+                    properties: { ...convert_properties(required), ...convert_properties(optional) },
+                    required: Object.keys(required),
+                    additionalProperties: false,
+                };
+                // Objects with all required properties and no additional properties just need to be counted.
+                if (min > 0)
+                    res.minProperties = required_count + min;
+                if (max < Number.MAX_SAFE_INTEGER)
+                    res.maxProperties = required_count + max;
+                return res;
+            }
+            case 'partial_object':
+                return {
+                    type: 'object',
+                    properties: convert_properties(description.properties),
+                    required: Object.keys(description.properties),
+                };
+            case 'tuple':
+                return {
+                    type: 'array',
+                    prefixItems: convert_all(description.schemata, 'prefixItems'),
+                    items: false,
+                    minItems: description.schemata.length,
+                };
+            case 'map': {
+                let res = {
+                    type: 'object',
+                    propertyNames: to_json_schema(description.key, `${pointer}/propertyNames`, options, definitions),
+                    additionalProperties: to_json_schema(description.value, `${pointer}/additionalProperties`, options, definitions),
+                };
+                if (description.min > 0)
+                    res.minProperties = description.min;
+                if (description.max < Number.MAX_SAFE_INTEGER)
+                    res.maxProperties = description.max;
+                return res;
+            }
+            case 'and':
+            case 'and_all':
+                return { allOf: convert_all(description.schemata, 'allOf') };
+            case 'or':
+                // A simple enum
+                if (description.schemata.every((schema) => schema === null || string(schema) || number(schema) || boolean(schema)))
+                    return { enum: description.schemata };
+                return { anyOf: convert_all(description.schemata, 'anyOf') };
+            case 'union': {
+                let { tag, variants } = description;
+                let tag_values = Object.keys(variants);
+                return {
+                    type: 'object',
+                    properties: { [tag]: { enum: tag_values } },
+                    required: [tag],
+                    anyOf: tag_values.map((tag_value, i) => ({
+                        allOf: [
+                            { properties: { [tag]: { const: tag_value } } },
+                            to_json_schema(variants[tag_value], `${pointer}/anyOf/${i}/allOf/1`, options, definitions),
+                        ],
+                    })),
+                };
+            }
+            case 'default':
+                return { ...to_json_schema(description.schema, pointer, options, definitions), default: description.default };
+            case 'lazy': {
+                let name = definitions.names.get(schema);
+                if (name === undefined) {
+                    let target = resolve_lazy(schema);
+                    name = `lazy${definitions.names.size + 1}`;
+                    definitions.names.set(schema, name);
+                    compile2(target, `/$defs/${name}`);
+                    definitions.$defs[name] = to_json_schema(target, `/$defs/${name}`, options, definitions);
+                }
+                return { $ref: `#/$defs/${name}` };
+            }
+            case 'range': {
+                let { min, max, exclusive } = description;
+                let res = { type: 'number' };
+                if (min > -Infinity)
+                    res[exclusive === true || exclusive === 'min' ? 'exclusiveMinimum' : 'minimum'] = min;
+                if (max < Infinity)
+                    res[exclusive === true || exclusive === 'max' ? 'exclusiveMaximum' : 'maximum'] = max;
+                return res;
+            }
+            case 'multiple_of':
+                return { type: 'number', multipleOf: description.factor };
+            case 'length': {
+                let res = { type: 'string' };
+                if (description.min > 0)
+                    res.minLength = description.min;
+                if (description.max < Number.MAX_SAFE_INTEGER)
+                    res.maxLength = description.max;
+                return res;
+            }
+            case 'non_empty':
+                return { anyOf: [{ type: 'string', minLength: 1 }, { type: 'array', minItems: 1 }, { type: 'object', minProperties: 1 }] };
+            case 'one_of':
+                return { enum: description.values };
+            case 'unique':
+                // We cannot convert custom comparisons
+                if (description.equal)
+                    return untranslatable();
+                return { type: 'array', uniqueItems: true };
+            case 'dependent_required':
+                return { type: 'object', dependentRequired: description.dependencies };
+            case 'mutually_exclusive': {
+                let { properties } = description;
+                let pairs = [];
+                properties.forEach((a, i) => properties.slice(i + 1).forEach((b) => pairs.push({ required: [a, b] })));
+                return { type: 'object', not: pairs.length === 1 ? pairs[0] : { anyOf: pairs } };
+            }
+            case 'when': {
+                let res = {
+                    if: to_json_schema(description.condition, `${pointer}/if`, options, definitions),
+                    then: to_json_schema(description.then_schema, `${pointer}/then`, options, definitions),
+                };
+                if (description.else_schema !== null)
+                    res.else = to_json_schema(description.else_schema, `${pointer}/else`, options, definitions);
+                return res;
+            }
+        }
+    }
+    if (schema instanceof RegExp) {
+        // JSON Schema patterns do not have flags. The unicode flag does not hurt.
+        if (schema.flags !== '' && schema.flags !== 'u')
+            return untranslatable();
+        return { type: 'string', pattern: schema.source };
+    }
+    if (schema === null || string(schema) || number(schema) || boolean(schema)) {
+        return { const: schema };
+    }
+    if (plain_array(schema)) {
+        // Let compile2 complain about invalid array schemata
+        compile2(schema, pointer);
+        let [items, min = 0, max] = schema;
+        let res = {
+            type: 'array',
+            items: to_json_schema(items, `${pointer}/items`, options, definitions),
+        };
+        if (min > 0)
+            res.minItems = min;
+        if (max !== undefined)
+            res.maxItems = max;
+        return res;
+    }
+    if (is_plain_object(schema)) {
+        return {
+            type: 'object',
+            properties: convert_properties(schema),
+            required: Object.keys(schema),
+            additionalProperties: false,
+        };
+    }
+    throw new Error(`Invalid schema at '${pointer}'`);
+}
+/**
+ * Converts a JSON Schema document into a schema.
+ *
+ * Supports the commonly used validation keywords. Annotations like title or description are ignored.
+ *
+ * @param {object|boolean} document a JSON Schema
+ * @returns {any} a schema
+ * @throws if the document contains unsupported keywords or cannot be converted
+ */
+export function fromJSONSchema(document) {
+    return from_json_schema(document, '', { root: document, refs: new Map(), pending: new Set() });
+}
+const annotation_keywords = new Set(['$schema', '$id', '$comment', '$defs', 'definitions', 'title', 'description', 'default', 'examples', 'deprecated', 'readOnly', 'writeOnly', 'format']);
+const type_schemata = {
+    null: null,
+    boolean,
+    number,
+    integer,
+    string,
+    array,
+    object,
+};
+function from_json_schema(subschema, pointer, context) {
+    if (subschema === true)
+        return () => true;
+    if (subschema === false)
+        return () => DEBUG ? 'No value is allowed here' : false;
+    if (!is_object(subschema))
+        throw new Error(`Invalid JSON Schema at '${pointer}'`);
+    let node = subschema;
+    let convert = (keyword) => from_json_schema(node[keyword], `${pointer}/${keyword}`, context);
+    let convert_all = (keyword) => {
+        if (!array(node[keyword]) || node[keyword].length < 1)
+            throw new Error(`Invalid JSON Schema at '${pointer}/${keyword}': expected a non-empty array`);
+        return node[keyword].map((subschema, i) => from_json_schema(subschema, `${pointer}/${keyword}/${i}`, context));
+    };
+    let has = (keyword) => has_own(node, keyword);
+    for (let keyword in node) {
+        if (!annotation_keywords.has(keyword) && !from_json_schema_keywords.has(keyword))
+            throw new Error(`Unsupported JSON Schema keyword '${keyword}' at '${pointer}'`);
+    }
+    // These are combined with and(), so the type is checked before anything else.
+    let parts = [];
+    let types = [];
+    if (has('type')) {
+        types = string(node.type) ? [node.type] : node.type;
+        if (!array(types) || types.length < 1 || !types.every((type) => string(type) && has_own(type_schemata, type)))
+            throw new Error(`Invalid JSON Schema at '${pointer}/type'`);
+        parts.push(types.length === 1 ? type_schemata[types[0]] : or(...types.map((type) => type_schemata[type])));
+    }
+    // Keywords for a specific type only apply to values of that type.
+    // If the type is known, some of the resulting schemata check the type themselves, making the explicit check redundant.
+    let type_is_checked = false;
+    let for_type = (type, is_type, schema, checks_type) => {
+        if (types.length === 1 && (types[0] === type || (type === 'number' && types[0] === 'integer'))) {
+            parts.push(schema);
+            type_is_checked = type_is_checked || (checks_type && types[0] === type);
+            return;
+        }
+        let validate = compile(schema);
+        parts.push((value) => !is_type(value) || validate(value));
+    };
+    if (has('const'))
+        parts.push(json_schema_literal(node.const, `${pointer}/const`));
+    if (has('enum')) {
+        if (!array(node.enum) || node.enum.length < 1)
+            throw new Error(`Invalid JSON Schema at '${pointer}/enum'`);
+        parts.push(or(...node.enum.map((value, i) => json_schema_literal(value, `${pointer}/enum/${i}`))));
+    }
+    if (has('pattern')) {
+        if (!string(node.pattern))
+            throw new Error(`Invalid JSON Schema at '${pointer}/pattern'`);
+        for_type('string', string, new RegExp(node.pattern, 'u'), true);
+    }
+    for (let keyword of ['minimum', 'exclusiveMinimum', 'maximum', 'exclusiveMaximum']) {
+        if (!has(keyword))
+            continue;
+        let limit = node[keyword];
+        if (!number(limit))
+            throw new Error(`Invalid JSON Schema at '${pointer}/${keyword}'`);
+        let exclusive = keyword.startsWith('exclusive');
+        for_type('number', number, keyword.endsWith('inimum')
+            ? range(limit, Infinity, { exclusive: exclusive && 'min' })
+            : range(-Infinity, limit, { exclusive: exclusive && 'max' }), true);
+    }
+    if (has('multipleOf')) {
+        if (!number(node.multipleOf) || node.multipleOf <= 0)
+            throw new Error(`Invalid JSON Schema at '${pointer}/multipleOf'`);
+        for_type('number', number, multiple_of(node.multipleOf), true);
+    }
+    if (has('minLength') || has('maxLength')) {
+        let min = node.minLength ?? 0;
+        let max = node.maxLength ?? Number.MAX_SAFE_INTEGER;
+        if (!integer(min) || min < 0)
+            throw new Error(`Invalid JSON Schema at '${pointer}/minLength'`);
+        if (!integer(max) || max < 0)
+            throw new Error(`Invalid JSON Schema at '${pointer}/maxLength'`);
+        // A string can be too short and too long at the same time, but length() does not allow that
+        for_type('string', string, min <= max ? length(min, max) : () => DEBUG ? 'No string is allowed here' : false, min <= max);
+    }
+    if (has('uniqueItems')) {
+        if (!boolean(node.uniqueItems))
+            throw new Error(`Invalid JSON Schema at '${pointer}/uniqueItems'`);
+        if (node.uniqueItems)
+            for_type('array', array, unique(), true);
+    }
+    if (has('properties') || has('required') || has('additionalProperties')) {
+        for_type('object', is_object, json_schema_object(node, pointer, context), true);
+    }
+    if (has('dependentRequired')) {
+        if (!is_plain_object(node.dependentRequired) || !Object.values(node.dependentRequired).every((props) => array(props) && props.every(string)))
+            throw new Error(`Invalid JSON Schema at '${pointer}/dependentRequired'`);
+        for_type('object', is_object, dependent_required(node.dependentRequired), true);
+    }
+    if (has('items') || has('prefixItems') || has('minItems') || has('maxItems')) {
+        for_type('array', array, json_schema_array(node, pointer, context), true);
+    }
+    if (has('$ref'))
+        parts.push(json_schema_ref(node.$ref, pointer, context));
+    if (has('allOf'))
+        parts.push(and_all(...convert_all('allOf')));
+    if (has('anyOf'))
+        parts.push(or(...convert_all('anyOf')));
+    if (has('oneOf')) {
+        let compiled_schemata = convert_all('oneOf').map((schema) => compile2(schema, ''));
+        let one_of_variants = make_custom_validator((value, path, context) => {
+            let count = compiled_schemata.filter((compiled) => matches(compiled, value, context)).length;
+            if (count !== 1)
+                report(context, path, value, one_of_variants, 'variant_count', { count });
+            return value;
+        });
+        parts.push(one_of_variants);
+    }
+    // then and else without if are ignored
+    if (has('if'))
+        parts.push(when(convert('if'), has('then') ? convert('then') : () => true, has('else') ? convert('else') : undefined));
+    if (has('not')) {
+        let compiled = compile2(convert('not'), '');
+        let not = make_custom_validator((value, path, context) => {
+            if (matches(compiled, value, context))
+                report(context, path, value, not, 'excluded_match');
+            return value;
+        });
+        parts.push(not);
+    }
+    if (type_is_checked)
+        parts.shift();
+    if (parts.length === 0)
+        return () => true;
+    if (parts.length === 1)
+        return parts[0];
+    return and(...parts);
+}
+const from_json_schema_keywords = new Set([
+    'type', 'const', 'enum', 'pattern', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf', 'minLength', 'maxLength',
+    'properties', 'required', 'additionalProperties', 'items', 'prefixItems', 'minItems', 'maxItems', 'uniqueItems',
+    'dependentRequired', '$ref', 'allOf', 'anyOf', 'oneOf', 'if', 'then', 'else', 'not',
+]);
+function json_schema_literal(value, pointer) {
+    if (value === null || string(value) || number(value) || boolean(value))
+        return value;
+    throw new Error(`Unsupported JSON Schema at '${pointer}': only strings, numbers, booleans and null can be compared`);
+}
+function json_schema_object(node, pointer, context) {
+    let properties = {};
+    if (has_own(node, 'properties')) {
+        if (!is_plain_object(node.properties))
+            throw new Error(`Invalid JSON Schema at '${pointer}/properties'`);
+        for (let prop in node.properties)
+            properties[prop] = from_json_schema(node.properties[prop], `${pointer}/properties/${escape_json_pointer(prop)}`, context);
+    }
+    let required_names = node.required ?? [];
+    if (!array(required_names) || !required_names.every(string))
+        throw new Error(`Invalid JSON Schema at '${pointer}/required'`);
+    let required = {};
+    let optional = {};
+    let additional = node.additionalProperties ?? true;
+    // With additionalProperties: false, a required property not in properties can't have any value, so no object matches
+    for (let prop of required_names)
+        required[prop] = has_own(properties, prop) ? properties[prop] : additional === false ? from_json_schema(false, `${pointer}/required`, context) : () => true;
+    for (let prop in properties) {
+        if (has_own(required, prop))
+            continue;
+        let subschema = node.properties[prop];
+        optional[prop] = is_object(subschema) && has_own(subschema, 'default') ? with_default(properties[prop], subschema.default) : properties[prop];
+    }
+    if (additional === false) {
+        if (!object_has_a_property(optional))
+            return required;
+        return object(required, optional);
+    }
+    // Unknown properties are allowed, so we need to check them one by one.
+    let compiled_optional = compile_properties(optional, `${pointer}/properties`);
+    let compiled_additional = additional === true ? null : compile2(from_json_schema(additional, `${pointer}/additionalProperties`, context), '');
+    let others = make_custom_validator((value, path, context) => {
+        if (!is_object(value))
+            return value;
+        let output = context.copy ? { ...value } : null;
+        for (let prop in value) {
+            let subpath = { parent: path, segment: prop };
+            let compiled = compiled_optional.get(prop) ?? (compiled_additional && !has_own(properties, prop) ? compiled_additional : null);
+            if (compiled === null)
+                continue;
+            let result = compiled(value[prop], subpath, context);
+            if (output !== null)
+                set_property(output, prop, result);
+        }
+        return output ?? value;
+    });
+    return and(partial_object(required), others);
+}
+function json_schema_array(node, pointer, context) {
+    let items = has_own(node, 'items') ? from_json_schema(node.items, `${pointer}/items`, context) : () => true;
+    let min = node.minItems ?? 0;
+    let max = node.maxItems ?? Number.MAX_SAFE_INTEGER;
+    if (!integer(min) || min < 0)
+        throw new Error(`Invalid JSON Schema at '${pointer}/minItems'`);
+    if (!integer(max) || max < 0)
+        throw new Error(`Invalid JSON Schema at '${pointer}/maxItems'`);
+    if (!has_own(node, 'prefixItems'))
+        return [items, min, max];
+    if (!array(node.prefixItems))
+        throw new Error(`Invalid JSON Schema at '${pointer}/prefixItems'`);
+    let prefix_items = node.prefixItems.map((subschema, i) => from_json_schema(subschema, `${pointer}/prefixItems/${i}`, context));
+    // A tuple requires all the elements, which JSON Schema does not unless told so.
+    if (node.items === false && min === prefix_items.length)
+        return tuple(...prefix_items);
+    let compiled_prefix_items = prefix_items.map((schema) => compile2(schema, ''));
+    let compiled_items = compile2(items, '');
+    return and([() => true, min, max], make_custom_validator((value, path, context) => {
+        if (!array(value))
+            return value;
+        let output = context.copy ? value.slice() : null;
+        for (let i = 0; i < value.length; i++) {
+            let compiled = i < compiled_prefix_items.length ? compiled_prefix_items[i] : compiled_items;
+            let result = compiled(value[i], { parent: path, segment: i }, context);
+            if (output !== null)
+                output[i] = result;
+        }
+        return output ?? value;
+    }));
+}
+function json_schema_ref(ref, pointer, context) {
+    if (!string(ref) || !ref.startsWith('#'))
+        throw new Error(`Unsupported JSON Schema at '${pointer}/$ref': only local references are supported`);
+    let target = decodeURIComponent(ref.substring(1));
+    let converted = context.refs.get(target);
+    if (converted !== undefined)
+        return converted;
+    // A recursive schema. We cannot convert the target before we're done converting it, so look it up when validating.
+    if (context.pending.has(target))
+        return lazy(() => context.refs.get(target));
+    let node = context.root;
+    for (let segment of target.split('/').slice(1)) {
+        segment = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+        if ((!is_object(node) && !array(node)) || !has_own(node, segment))
+            throw new Error(`Invalid JSON Schema at '${pointer}/$ref': cannot resolve ${ref}`);
+        node = node[segment];
+    }
+    context.pending.add(target);
+    converted = from_json_schema(node, target, context);
+    context.pending.delete(target);
+    context.refs.set(target, converted);
+    return converted;
+}
+// See RFC 6901
+function escape_json_pointer(segment) {
+    return segment.replace(/~/g, '~0').replace(/\//g, '~1');
 }
 function check_if_object_is_sane(o, is_array = false) {
     if (Object.getOwnPropertySymbols(o).length > 0)